@@ -70,14 +70,26 @@ export interface ForExpose<T = unknown> {
 	getItem(key: unknown): T | undefined
 	remove(key: unknown): void
 	clear(): void
+	/** `null` unless time slicing is enabled */
+	pending: Signal<boolean> | null
 }
 
+export type ForKey<T = unknown> = keyof T | ((item: T, index: number) => unknown)
+
 export interface ForProps<T = unknown> {
 	entries: MaybeSignal<T[]>
-	track?: MaybeSignal<keyof T>
+	/** Property name or function giving each entry's key, entries are keyed by identity without it */
+	track?: MaybeSignal<ForKey<T>>
 	indexed?: boolean
 	name?: string
 	expose?: (api: ForExpose<T>) => void
+	/** New items mounted per batch, enables time slicing */
+	chunk?: number
+	/** Milliseconds per batch, enables time slicing */
+	timeSlice?: number
+	/** Schedules the next batch, defaults to requestAnimationFrame */
+	deferrer?: ((callback: () => void) => () => void) | null
+	pending?: Signal<boolean>
 }
 
 export type ForTemplate<T = unknown> =
@@ -166,6 +178,14 @@ export interface RenderProps {
 
 export function Render(props: RenderProps): RenderFunction
 
+export interface ErrorBoundaryProps {
+	name?: string
+	fallback?: MaybeSignal<PossibleRender | ((props: { error: unknown; reset: () => void }) => PossibleRender)>
+	onError?: (error: unknown) => void
+}
+
+export function ErrorBoundary(props: ErrorBoundaryProps, ...children: any[]): RenderFunction
+
 export class Component<P = any> {
 	constructor(template: ComponentTemplate<P>, props?: P, ...children: any[])
 }
@@ -189,3 +209,15 @@ export function _asyncContainer(
 	props: Record<string, unknown>,
 	children: any[]
 ): RenderFunction
+
+/** @internal */
+export function _trackAsync<T>(
+	tracker: (renderFn: RenderFunction, future: PromiseLike<unknown>, name: string | null) => RenderFunction | void,
+	fn: () => T
+): T
+
+/** @internal */
+export function _suspend(future: PromiseLike<unknown>): boolean
+
+/** @internal */
+export function _withContext<T, R>(Context: ContextProvider<T>, value: T, fn: () => R): R
@@ -28,13 +28,17 @@ import {
 	freeze,
 	signal,
 	isSignal,
-	contextValid
+	contextValid,
+	_withErrorHandler,
+	_getErrorHandler
 } from 'refui/signal'
 import { hotEnabled, enableHMR } from 'refui/hmr'
-import { nop, emptyArr, removeFromArr, isThenable, markStatic, nullRefObject } from 'refui/utils'
+import { _observeArray } from 'refui/store'
+import { nop, emptyArr, removeFromArr, isThenable, markStatic, nullRefObject, getDevtoolsHook, now } from 'refui/utils'
 import { isProduction } from 'refui/constants'
 
 const KEY_CTX = Symbol(isProduction ? '' : 'K_Ctx')
+const KEY_ASYNC_TRACKER = Symbol(isProduction ? '' : 'K_AsyncTracker')
 
 const rootUserCtx = Object.create(null)
 let currentCtx = null
@@ -85,6 +89,14 @@ function render(instance, R) {
 		return R.ensureElement(renderComponent)
 	}
 
+	const hook = isProduction ? null : getDevtoolsHook()
+	if (hook) {
+		const start = now()
+		const result = run(renderComponent, R)[0]
+		hook.emit('component:render', { component: instance, start, duration: now() - start })
+		return result
+	}
+
 	return run(renderComponent, R)[0]
 }
 
@@ -230,13 +242,47 @@ function Fn({ name = 'Fn', ctx, catch: catchErr }, handler, handleErr) {
 }
 markStatic(Fn)
 
-function For({ name = 'For', entries, track, indexed, expose }, itemTemplate) {
+function frameDeferrer(cb) {
+	const id = requestAnimationFrame(cb)
+	return function () {
+		cancelAnimationFrame(id)
+	}
+}
+
+// `track` is a property name, or a function of the item and its index
+function keyOf(track, item, index) {
+	return typeof track === 'function' ? track(item, index) : item[track]
+}
+
+// Stand-in keys of repeated entries, see `dedupeKeys` in `For`
+const duplicateKeys = new WeakSet()
+
+function For(
+	{
+		name = 'For',
+		entries,
+		track,
+		indexed,
+		expose,
+		chunk,
+		timeSlice,
+		deferrer = typeof requestAnimationFrame === 'function' ? frameDeferrer : null,
+		pending: userPending
+	},
+	itemTemplate
+) {
 	let currentData = []
 
+	// Time sliced mode mounts new items a batch at a time, without a deferrer (e.g. on servers) everything is mounted at once
+	const sliced = !!(chunk || timeSlice) && !!deferrer
+	const pending = sliced ? (isSignal(userPending) ? userPending : signal(false)) : null
+	let sliceSize = chunk || 20
+
 	let kv = track && new Map()
 	let ks = indexed && new Map()
 	let nodeCache = new Map()
 	let disposers = new Map()
+	let duplicates = new Map()
 
 	function _clear() {
 		for (let [, _dispose] of disposers) _dispose(true)
@@ -245,12 +291,12 @@ function For({ name = 'For', entries, track, indexed, expose }, itemTemplate) {
 		if (ks) ks = new Map()
 	}
 
-	function flushKS() {
+	function flushKS(keys = currentData) {
 		if (ks) {
-			const currentDataLength = currentData.length
-			for (let i = 0; i < currentDataLength; i++) {
-				const sig = ks.get(currentData[i])
-				sig.set(i)
+			const keyCount = keys.length
+			for (let i = 0; i < keyCount; i++) {
+				// Not yet mounted items have no index signal
+				ks.get(keys[i])?.set(i)
 			}
 		}
 	}
@@ -261,13 +307,75 @@ function For({ name = 'For', entries, track, indexed, expose }, itemTemplate) {
 		if (!currentData.length) return
 		_clear()
 		if (kv) kv = new Map()
+		duplicates = new Map()
 		currentData = []
 		if (isSignal(entries) && entries.peek()?.length) entries.set([])
 	}
 
+	function itemOf(itemKey) {
+		if (kv) return kv.get(itemKey)
+		return duplicateKeys.has(itemKey) ? itemKey.key : itemKey
+	}
+
+	/*
+	Every occurrence of a key after the first one gets a stand-in key, kept across updates,
+	so repeated entries are rendered as separate items in their order instead of sharing one node
+	*/
+	function dedupeKeys(keys, items) {
+		const prevDuplicates = duplicates
+		const firstIndexes = new Map()
+		const keyCount = keys.length
+		let result = keys
+		let report = null
+
+		duplicates = new Map()
+
+		for (let i = 0; i < keyCount; i++) {
+			const itemKey = keys[i]
+			if (!firstIndexes.has(itemKey)) {
+				firstIndexes.set(itemKey, i)
+				continue
+			}
+
+			let standIns = duplicates.get(itemKey)
+			if (!standIns) {
+				standIns = []
+				duplicates.set(itemKey, standIns)
+			}
+			let standIn = prevDuplicates.get(itemKey)?.[standIns.length]
+			if (!standIn) {
+				standIn = { key: itemKey }
+				duplicateKeys.add(standIn)
+			}
+			standIns.push(standIn)
+
+			if (result === keys) result = [...keys]
+			result[i] = standIn
+			if (kv) kv.set(standIn, items[i])
+
+			if (!isProduction) {
+				if (!report) report = new Map()
+				let entry = report.get(itemKey)
+				if (!entry) {
+					const firstIndex = firstIndexes.get(itemKey)
+					entry = { key: itemKey, indexes: [firstIndex], entries: [items[firstIndex]] }
+					report.set(itemKey, entry)
+				}
+				entry.indexes.push(i)
+				entry.entries.push(items[i])
+			}
+		}
+
+		if (report) {
+			console.warn(`[rEFui] <${name}> has entries with duplicate keys, each of them is rendered as a separate item:`, [...report.values()])
+		}
+
+		return result
+	}
+
 	if (expose) {
 		function getItem(itemKey) {
-			return kv ? kv.get(itemKey) : itemKey
+			return itemOf(itemKey)
 		}
 		function remove(itemKey) {
 			const itemData = getItem(itemKey)
@@ -278,7 +386,8 @@ function For({ name = 'For', entries, track, indexed, expose }, itemTemplate) {
 		expose({
 			getItem,
 			remove,
-			clear
+			clear,
+			pending
 		})
 	}
 
@@ -288,12 +397,13 @@ function For({ name = 'For', entries, track, indexed, expose }, itemTemplate) {
 		function getItemNode(itemKey) {
 			let node = nodeCache.get(itemKey)
 			if (!node) {
-				const item = kv ? kv.get(itemKey) : itemKey
+				const item = itemOf(itemKey)
 				let idxSig = ks ? ks.get(itemKey) : 0
 				if (ks && !idxSig) {
 					idxSig = signal(0)
 					ks.set(itemKey, idxSig)
 				}
+				createdCount += 1
 				const dispose = collectDisposers(
 					[],
 					function () {
@@ -315,23 +425,165 @@ function For({ name = 'For', entries, track, indexed, expose }, itemTemplate) {
 			return node
 		}
 
+		// Store arrays report their mutations, which are applied without diffing the whole list
+		let mutations = []
+		let unobserve = null
+		const mutated = signal()
+		const resync = signal()
+
+		function onMutation(record) {
+			if (!mutations) return
+			// Indices of records don't match a partially mounted list
+			if (record.type === 'reset' || pending?.peek()) {
+				mutations = null
+				resync.trigger()
+			} else {
+				if (!mutations.length) mutated.trigger()
+				mutations.push(record)
+			}
+		}
+
+		function keysOf(items, offset = 0) {
+			if (!track) return items
+			const key = peek(track)
+			return items.map(function (item, i) {
+				return keyOf(key, item, offset + i)
+			})
+		}
+
+		// Keys of repeated entries are not replaced here, the first entry keeps its key
+		function storeItems(keys, items) {
+			if (!track) return
+			const keyCount = keys.length
+			for (let i = 0; i < keyCount; i++) {
+				if (!kv.has(keys[i])) kv.set(keys[i], items[i])
+			}
+		}
+
+		// Returns false when the added entries repeat a key, which needs a full update
+		function spliceItems({ index, removed, added }) {
+			const removedLength = removed.length
+			const removedKeys = currentData.slice(index, index + removedLength)
+			const addedKeys = keysOf(added, index)
+
+			const addedSet = new Set()
+			for (let itemKey of addedKeys) {
+				if (addedSet.has(itemKey) || (nodeCache.has(itemKey) && !removedKeys.includes(itemKey))) return false
+				addedSet.add(itemKey)
+			}
+
+			for (let i = 0; i < removedLength; i++) {
+				disposers.get(removedKeys[i])?.()
+			}
+			// After the removed rows, whose disposal forgets their items, as a replacement may reuse a key
+			storeItems(addedKeys, added)
+
+			currentData.splice(index, removedLength, ...addedKeys)
+
+			const nextIndex = index + addedKeys.length
+			if (nextIndex < currentData.length) {
+				const beforeAnchor = getItemNode(currentData[nextIndex])
+				const addedLength = addedKeys.length
+				for (let i = 0; i < addedLength; i++) {
+					R.insertBefore(getItemNode(addedKeys[i]), beforeAnchor)
+				}
+			} else if (addedKeys.length) {
+				R.appendNode(fragment, ...addedKeys.map(getItemNode))
+			}
+		}
+
+		function sortItems({ items }) {
+			const keys = keysOf(items)
+			storeItems(keys, items)
+			currentData = dedupeKeys(keys, items)
+			R.appendNode(fragment, ...currentData.map(getItemNode))
+		}
+
+		mutated.connect(
+			_capture(function () {
+				if (!mutations?.length) return
+				const records = mutations
+				mutations = []
+				const recordCount = records.length
+				for (let i = 0; i < recordCount; i++) {
+					if (records[i].type === 'sort') sortItems(records[i])
+					else if (!spliceItems(records[i])) {
+						mutations = null
+						resync.trigger()
+						return
+					}
+				}
+				flushKS()
+			}),
+			false
+		)
+
+		let cancelChunk = null
+		let createdCount = 0
+
+		function nextChunk() {
+			cancelChunk = null
+			resync.trigger()
+		}
+
+		// Keeps mounted items and admits the next batch of new ones, in their final order
+		function admitKeys(keys) {
+			let budget = sliceSize
+			const admitted = keys.filter(function (itemKey) {
+				if (nodeCache.has(itemKey)) return true
+				if (budget > 0) {
+					budget -= 1
+					return true
+				}
+				return false
+			})
+			const hasMore = admitted.length < keys.length
+			if (hasMore) cancelChunk = deferrer(nextChunk)
+			pending.set(hasMore)
+			return admitted
+		}
+
+		onDispose(function () {
+			unobserve?.()
+			cancelChunk?.()
+		})
+
 		// eslint-disable-next-line complexity
 		watch(
 			_capture(function () {
 				/* eslint-disable max-depth */
-				const data = read(entries)
-				if (!data || !data.length) return clear()
+				resync.touch()
+				mutations = []
+				unobserve?.()
+				unobserve = null
+
+				if (cancelChunk) {
+					cancelChunk()
+					cancelChunk = null
+				}
+
+				let data = read(entries)
+				const observed = _observeArray(data, onMutation)
+				if (observed) [data, unobserve] = observed
+				if (!data || !data.length) {
+					pending?.set(false)
+					return clear()
+				}
+
+				const start = sliced ? now() : 0
+				createdCount = 0
 
 				let oldData = currentData
 				if (track) {
 					kv = new Map()
-					const key = read(track)
-					currentData = data.map(function (i) {
-						const itemKey = i[key]
-						kv.set(itemKey, i)
-						return itemKey
-					})
+					read(track)
+					currentData = keysOf(data)
+					storeItems(currentData, data)
 				} else currentData = [...data]
+				currentData = dedupeKeys(currentData, data)
+
+				const targetData = currentData
+				if (sliced) currentData = admitKeys(currentData)
 
 				let newData = null
 
@@ -455,7 +707,12 @@ function For({ name = 'For', entries, track, indexed, expose }, itemTemplate) {
 					}
 				}
 
-				flushKS()
+				flushKS(targetData)
+
+				// Fit the next batch into the time budget, based on how long this one took
+				if (timeSlice && createdCount) {
+					sliceSize = Math.max(1, Math.floor((timeSlice * createdCount) / Math.max(now() - start, 1)))
+				}
 			})
 		)
 
@@ -527,9 +784,44 @@ markStatic(Dynamic)
 
 let currentFutureList = null
 
+function _withUserCtx(key, value, fn) {
+	const prevUserCtx = currentUserCtx
+	currentUserCtx = Object.create(prevUserCtx)
+	currentUserCtx[key] = value
+
+	try {
+		return fn()
+	} finally {
+		currentUserCtx = prevUserCtx
+	}
+}
+
+// Internal, lets renderers observe every async boundary created inside `fn`
+// tracker(renderFn, future, name) may return a replacement render function
+function _trackAsync(tracker, fn) {
+	return _withUserCtx(KEY_ASYNC_TRACKER, tracker, fn)
+}
+
+// Internal, makes the Suspense being rendered wait for `future` as well
+function _suspend(future) {
+	if (currentFutureList) {
+		currentFutureList.push(future)
+		return true
+	}
+	return false
+}
+
+function _tracked(tracker, renderFn, future, name) {
+	if (!tracker) {
+		return renderFn
+	}
+	return tracker(renderFn, future, name) ?? renderFn
+}
+
 // Internal, no document/.d.ts needed
 // DON'T USE UNLESS YOU UNDERSTAND WHAT IT DOES
 function _asyncContainer(name, fallback, catchErr, onLoad, suspensed, props, children) {
+	const tracker = currentUserCtx[KEY_ASYNC_TRACKER]
 	const component = signal()
 	let currentDispose = null
 	let disposed = false
@@ -584,6 +876,16 @@ function _asyncContainer(name, fallback, catchErr, onLoad, suspensed, props, chi
 				})
 			})
 		)
+	} else {
+		const errorHandler = _getErrorHandler()
+		if (errorHandler) {
+			resolvedFuture = resolvedFuture.catch(function (error) {
+				_resolve?.()
+				if (!disposed) {
+					errorHandler(error)
+				}
+			})
+		}
 	}
 
 	if (fallback) {
@@ -640,17 +942,22 @@ function _asyncContainer(name, fallback, catchErr, onLoad, suspensed, props, chi
 			}
 		}
 
-		return Fn({ name: isProduction ? null : `${name}(suspensed)` }, function () {
-			const renderFn = component.get()
-			if (currentFn === renderFn) {
-				return currentRender
-			}
-			currentFn = renderFn
-			return (currentRender = Suspense(_props, renderFn))
-		})
+		return _tracked(
+			tracker,
+			Fn({ name: isProduction ? null : `${name}(suspensed)` }, function () {
+				const renderFn = component.get()
+				if (currentFn === renderFn) {
+					return currentRender
+				}
+				currentFn = renderFn
+				return (currentRender = Suspense(_props, renderFn))
+			}),
+			resolvedFuture,
+			name
+		)
 	}
 
-	return Fn({ name }, component.get.bind(component))
+	return _tracked(tracker, Fn({ name }, component.get.bind(component)), resolvedFuture, name)
 }
 
 function Async(
@@ -880,6 +1187,49 @@ function Render({ from }) {
 }
 markStatic(Render)
 
+function ErrorBoundary({ name = 'ErrorBoundary', fallback, onError }, ...children) {
+	const state = signal(null)
+	let disposed = false
+
+	onDispose(function () {
+		disposed = true
+	})
+
+	function reset() {
+		state.value = null
+	}
+
+	function handleError(error) {
+		if (disposed) {
+			throw error
+		}
+		onError?.(error)
+		// The first error wins, later ones usually come from the same broken subtree
+		if (!state.peek()) {
+			state.value = { error }
+		}
+	}
+
+	function renderChildren(R) {
+		return _withErrorHandler(handleError, function () {
+			return R.ensureElement(children)
+		})
+	}
+
+	function renderFallback() {
+		const handler = read(fallback)
+		if (typeof handler === 'function') {
+			return handler({ error: state.peek().error, reset })
+		}
+		return handler
+	}
+
+	return Fn({ name, catch: handleError }, function () {
+		return state.value ? renderFallback : renderChildren
+	})
+}
+markStatic(ErrorBoundary)
+
 class Component {
 	constructor(tpl, props, ...children) {
 		const ctx = {
@@ -892,6 +1242,11 @@ class Component {
 		const prevCtx = currentCtx
 		currentCtx = ctx
 
+		const hook = isProduction ? null : getDevtoolsHook()
+		if (hook) {
+			hook.emit('component:create', { component: this, name: tpl.name || 'Anonymous', parent: prevCtx?.self ?? null })
+		}
+
 		const disposers = []
 
 		ctx.run = capture(function (fn, R) {
@@ -927,6 +1282,9 @@ class Component {
 						value: null,
 						enumerable: false
 					})
+					if (hook) {
+						hook.emit('component:dispose', { component: this })
+					}
 				}
 			)
 		} catch (error) {
@@ -1013,6 +1371,10 @@ function useContext(Context) {
 		return currentUserCtx[contextSymbol]
 	}
 }
+// Internal, provides a context value to `fn` without rendering a provider
+function _withContext(Context, value, fn) {
+	return _withUserCtx(contextSymbolMap.get(Context), value, fn)
+}
 
 export {
 	capture,
@@ -1031,9 +1393,13 @@ export {
 	Suspense,
 	Transition,
 	Render,
+	ErrorBoundary,
 	Component,
 	createComponent,
 	createContext,
 	useContext,
-	_asyncContainer
+	_asyncContainer,
+	_trackAsync,
+	_suspend,
+	_withContext
 }
@@ -0,0 +1,77 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import type { Signal } from './signal.js'
+
+export const styleAttr: string
+
+export interface CSSRule {
+	id: string
+	text: string
+}
+
+/** Props to spread on an element, converts to the generated class name */
+export interface ScopedStyle {
+	readonly class: string
+	readonly [key: `css:${string}`]: CSSRule
+	readonly [key: `style:--${string}`]: Signal<unknown>
+	toString(): string
+}
+
+/** Accepted by `class`: names, arrays, `css` results and `{ name: condition }` objects, at any depth */
+export type ClassValue =
+	| string
+	| number
+	| boolean
+	| null
+	| undefined
+	| ScopedStyle
+	| Signal<ClassValue>
+	| readonly ClassValue[]
+	| { [name: string]: unknown }
+
+/** Accepted by `style`: css text, or an object of properties in camelCase, kebab-case or `--custom` form */
+export type StyleValue =
+	| string
+	| null
+	| undefined
+	| false
+	| Signal<StyleValue>
+	| { [property: string]: string | number | null | undefined | false | Signal<string | number | null | undefined | false> }
+
+export function css(strings: TemplateStringsArray | readonly string[] | string, ...exprs: unknown[]): ScopedStyle
+
+export interface StyleCollector {
+	add(rule: CSSRule): void
+	ids(): string[]
+	serialize(): string
+	run<T, A extends unknown[]>(fn: (...args: A) => T, ...args: A): T
+}
+
+export function createStyleCollector(): StyleCollector
+
+/** @internal */
+export function _collectStyle(rule: CSSRule): void
+/** @internal */
+export function _toStyleProperty(name: string): string
+/** @internal */
+export function _collectClasses(value: ClassValue, names: Set<string>): void
+/** @internal */
+export function _collectStyles(value: StyleValue, styles: Map<string, string>): string | undefined
@@ -0,0 +1,175 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { isSignal, read } from 'refui/signal'
+import { cached } from 'refui/utils'
+import { createContext, useContext, _withContext } from 'refui/components'
+
+const styleAttr = 'data-refui-css'
+// Marks the props returned by `css`, so class values can tell them from `{ name: condition }` objects
+const scopedStyle = Symbol('ScopedStyle')
+
+const StyleContext = createContext(null, 'Styles')
+
+const _toStyleProperty = cached(function(name) {
+	if (name.startsWith('--')) return name
+	return name.replace(/[A-Z]/g, function(match) {
+		return `-${match.toLowerCase()}`
+	})
+})
+
+/*
+Class values: a string of names, an array of class values, a `css` result,
+or an object of { names: condition }, each possibly a signal
+*/
+function _collectClasses(val, names) {
+	val = read(val)
+	if (val === undefined || val === null || val === false || val === true) return
+	if (typeof val === 'object') {
+		if (Array.isArray(val)) {
+			for (let item of val) _collectClasses(item, names)
+		} else if (val[scopedStyle]) {
+			names.add(val.class)
+		} else {
+			for (let key in val) {
+				if (read(val[key])) _collectClasses(key, names)
+			}
+		}
+		return
+	}
+	for (let name of `${val}`.split(/\s+/)) {
+		if (name) names.add(name)
+	}
+}
+
+// Properties that take plain numbers, others get `px` like they would in a stylesheet
+const unitlessProperties = new Set([
+	'animation-iteration-count', 'aspect-ratio', 'border-image-outset', 'border-image-slice', 'border-image-width',
+	'column-count', 'columns', 'flex', 'flex-grow', 'flex-shrink', 'font-weight', 'grid-area', 'grid-column',
+	'grid-column-end', 'grid-column-start', 'grid-row', 'grid-row-end', 'grid-row-start', 'line-clamp', 'line-height',
+	'opacity', 'order', 'orphans', 'scale', 'tab-size', 'widows', 'z-index', 'zoom', 'fill-opacity', 'flood-opacity',
+	'stop-opacity', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-miterlimit', 'stroke-opacity', 'stroke-width'
+])
+
+function toStyleValue(property, value) {
+	if (typeof value !== 'number' || property.startsWith('--') || unitlessProperties.has(property)) return `${value}`
+	return `${value}px`
+}
+
+// Style values: a css string, or an object of { property: value }, each possibly a signal
+function _collectStyles(val, styles) {
+	val = read(val)
+	if (val === undefined || val === null || val === false) return
+	if (typeof val !== 'object') return `${val}`
+	for (let key in val) {
+		const item = read(val[key])
+		if (item !== undefined && item !== null && item !== false) {
+			const property = _toStyleProperty(key)
+			styles.set(property, toStyleValue(property, item))
+		}
+	}
+}
+
+// djb2, only has to be stable and short
+function hash(text) {
+	let result = 5381
+	const length = text.length
+	for (let i = 0; i < length; i++) result = ((result << 5) + result + text.charCodeAt(i)) | 0
+	return (result >>> 0).toString(36)
+}
+
+function toString() {
+	return this.class
+}
+
+/*
+Signals become custom properties, set on the element through `style:` props.
+The returned props are meant to be spread on an element:
+{ class: 'c-x', 'css:c-x': { id: 'c-x', text: '.c-x{...}' }, 'style:--c-x-0': signal }
+*/
+function css(strings, ...exprs) {
+	if (!Array.isArray(strings)) strings = [strings]
+
+	const signals = []
+	let body = strings[0]
+	const exprCount = exprs.length
+	for (let i = 0; i < exprCount; i++) {
+		const expr = exprs[i]
+		if (isSignal(expr)) {
+			body += `var(--\0-${signals.length})`
+			signals.push(expr)
+		} else if (expr !== undefined && expr !== null && expr !== false) {
+			body += expr
+		}
+		body += strings[i + 1]
+	}
+
+	const id = `c-${hash(body)}`
+	const text = `.${id}{${body.replace(/\0/g, id)}}`
+
+	const props = {
+		class: id,
+		[`css:${id}`]: { id, text }
+	}
+	const signalCount = signals.length
+	for (let i = 0; i < signalCount; i++) props[`style:--${id}-${i}`] = signals[i]
+
+	Object.defineProperty(props, 'toString', { value: toString })
+	Object.defineProperty(props, scopedStyle, { value: true })
+
+	return props
+}
+
+function createStyleCollector() {
+	const rules = new Map()
+
+	function add(rule) {
+		if (!rules.has(rule.id)) rules.set(rule.id, rule.text)
+	}
+
+	function ids() {
+		return [...rules.keys()]
+	}
+
+	// Safe to embed in a <style> element
+	function serialize() {
+		return [...rules.values()].join('').replace(/<\/(style)/gi, '<\\/$1')
+	}
+
+	const collector = {
+		add,
+		ids,
+		serialize,
+		run(fn, ...args) {
+			return _withContext(StyleContext, collector, function() {
+				return fn(...args)
+			})
+		}
+	}
+
+	return collector
+}
+
+// Internal, records a rule for the collector of the render in progress
+function _collectStyle(rule) {
+	useContext(StyleContext)?.add(rule)
+}
+
+export { styleAttr, css, createStyleCollector, _collectStyle, _toStyleProperty, _collectClasses, _collectStyles }
@@ -0,0 +1,95 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import type { Signal } from './signal.js'
+
+export interface DevtoolsEvents {
+	'signal:create': { signal: Signal<any>; effect: ((...args: any[]) => any) | null }
+	'signal:connect': { signal: Signal<any>; effect: (...args: any[]) => any }
+	'signal:disconnect': { signal: Signal<any>; effect: (...args: any[]) => any }
+	'component:create': { component: object; name: string; parent: object | null }
+	'component:render': { component: object; start: number; duration: number }
+	'component:dispose': { component: object }
+	flush: DevtoolsFlush
+}
+
+export type DevtoolsEventType = keyof DevtoolsEvents
+
+export type DevtoolsListener = <T extends DevtoolsEventType>(type: T, data: DevtoolsEvents[T]) => void
+
+export interface DevtoolsFlush {
+	start: number
+	duration: number
+	signals: number
+	effects: number
+}
+
+export interface DevtoolsComponentRecord {
+	id: number
+	name: string
+	parent: number | null
+	renders: number
+	renderTime: number
+}
+
+export interface DevtoolsSignalRecord {
+	id: number
+	name: string | null
+	value: unknown
+	dependents: number
+}
+
+export interface DevtoolsEffectRecord {
+	id: number
+	name: string | null
+	/** Id of the derived signal this effect updates, if any */
+	signal: number | null
+}
+
+export interface DevtoolsSnapshot {
+	components: DevtoolsComponentRecord[]
+	signals: DevtoolsSignalRecord[]
+	effects: DevtoolsEffectRecord[]
+	edges: { signal: number; effect: number }[]
+	flushes: DevtoolsFlush[]
+}
+
+/** The minimal shape rEFui expects from `globalThis.__REFUI_DEVTOOLS_HOOK__` */
+export interface DevtoolsHook {
+	emit<T extends DevtoolsEventType>(type: T, data: DevtoolsEvents[T]): void
+}
+
+export interface DevtoolsInspector extends DevtoolsHook {
+	subscribe(listener: DevtoolsListener): () => void
+	setName<T extends object>(target: T, name: string): T
+	snapshot(): DevtoolsSnapshot
+	toJSON(): DevtoolsSnapshot
+	uninstall?: () => void
+}
+
+export interface DevtoolsOptions {
+	/** Number of flush records to keep, defaults to 100 */
+	maxFlushes?: number
+}
+
+export const devtoolsHookName: '__REFUI_DEVTOOLS_HOOK__'
+
+export function createDevtoolsHook(options?: DevtoolsOptions): DevtoolsInspector
+export function installDevtools(options?: DevtoolsOptions): DevtoolsInspector
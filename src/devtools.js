@@ -0,0 +1,263 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { isSignal, _debugName } from 'refui/signal'
+import { devtoolsHookName, getDevtoolsHook, removeFromArr, functionName } from 'refui/utils'
+import { isProduction } from 'refui/constants'
+
+const maxPreviewLength = 100
+
+// JSON safe, shallow description of a value
+function preview(value) {
+	switch (typeof value) {
+		case 'string': {
+			return value.length > maxPreviewLength ? `${value.slice(0, maxPreviewLength)}…` : value
+		}
+		case 'number': {
+			return Number.isFinite(value) ? value : String(value)
+		}
+		case 'boolean':
+		case 'undefined': {
+			return value
+		}
+		case 'bigint': {
+			return `${value}n`
+		}
+		case 'symbol': {
+			return value.toString()
+		}
+		case 'function': {
+			return `[Function ${value.name || 'anonymous'}]`
+		}
+		default: {
+			if (value === null) return null
+			if (Array.isArray(value)) return `[Array(${value.length})]`
+			if (isSignal(value)) return `[Signal ${value._.id}]`
+			return `[${value.constructor?.name ?? 'Object'}]`
+		}
+	}
+}
+
+// Falls back to strong references where WeakRef is missing
+function createRef(target) {
+	if (typeof WeakRef === 'function') {
+		return new WeakRef(target)
+	}
+	return {
+		deref() {
+			return target
+		}
+	}
+}
+
+function createDevtoolsHook({ maxFlushes = 100 } = {}) {
+	let componentID = 0
+	let effectID = 0
+
+	const names = new WeakMap()
+	const components = new Map()
+	const signals = new Map()
+	const effects = new WeakMap()
+	const flushes = []
+	const listeners = []
+
+	const registry = typeof FinalizationRegistry === 'function'
+		? new FinalizationRegistry(function(id) {
+				signals.delete(id)
+			})
+		: null
+
+	function getEffect(effect) {
+		let record = effects.get(effect)
+		if (!record) {
+			record = {
+				id: effectID++,
+				name: names.get(effect) ?? _debugName(effect) ?? functionName(effect),
+				signal: null
+			}
+			effects.set(effect, record)
+		}
+		return record
+	}
+
+	function onSignalCreate({ signal, effect }) {
+		const { id } = signal._
+		const record = {
+			ref: createRef(signal),
+			name: names.get(signal) ?? _debugName(signal),
+			dependents: new Map()
+		}
+		signals.set(id, record)
+		registry?.register(signal, id)
+
+		if (effect) {
+			getEffect(effect).signal = id
+		}
+	}
+
+	function onSignalConnect({ signal, effect }) {
+		const record = signals.get(signal._.id)
+		if (!record) return
+		const effectRecord = getEffect(effect)
+		record.dependents.set(effectRecord, (record.dependents.get(effectRecord) ?? 0) + 1)
+	}
+
+	function onSignalDisconnect({ signal, effect }) {
+		const record = signals.get(signal._.id)
+		const effectRecord = effects.get(effect)
+		if (!record || !effectRecord) return
+		const count = record.dependents.get(effectRecord) - 1
+		if (count > 0) record.dependents.set(effectRecord, count)
+		else record.dependents.delete(effectRecord)
+	}
+
+	function onComponentCreate({ component, name, parent }) {
+		components.set(component, {
+			id: componentID++,
+			name: names.get(component) ?? name,
+			parent: components.get(parent)?.id ?? null,
+			renders: 0,
+			renderTime: 0
+		})
+	}
+
+	function onComponentRender({ component, duration }) {
+		const record = components.get(component)
+		if (!record) return
+		record.renders += 1
+		record.renderTime += duration
+	}
+
+	function onComponentDispose({ component }) {
+		components.delete(component)
+	}
+
+	function onFlush(flush) {
+		flushes.push(flush)
+		if (flushes.length > maxFlushes) flushes.shift()
+	}
+
+	const handlers = {
+		'signal:create': onSignalCreate,
+		'signal:connect': onSignalConnect,
+		'signal:disconnect': onSignalDisconnect,
+		'component:create': onComponentCreate,
+		'component:render': onComponentRender,
+		'component:dispose': onComponentDispose,
+		flush: onFlush
+	}
+
+	function emit(type, data) {
+		handlers[type]?.(data)
+		for (let listener of listeners.slice()) listener(type, data)
+	}
+
+	function subscribe(listener) {
+		listeners.push(listener)
+		return function() {
+			removeFromArr(listeners, listener)
+		}
+	}
+
+	// Names given here take precedence over function names
+	function setName(target, name) {
+		names.set(target, name)
+		if (isSignal(target)) {
+			const record = signals.get(target._.id)
+			if (record) record.name = name
+		} else if (components.has(target)) {
+			components.get(target).name = name
+		} else if (effects.has(target)) {
+			effects.get(target).name = name
+		}
+		return target
+	}
+
+	function snapshot() {
+		const signalList = []
+		const effectList = new Map()
+		const edges = []
+
+		for (let [id, record] of signals) {
+			const signal = record.ref.deref()
+			if (!signal) {
+				signals.delete(id)
+				continue
+			}
+
+			signalList.push({
+				id,
+				name: record.name,
+				value: preview(signal._.value),
+				dependents: record.dependents.size
+			})
+
+			for (let effectRecord of record.dependents.keys()) {
+				effectList.set(effectRecord.id, effectRecord)
+				edges.push({ signal: id, effect: effectRecord.id })
+			}
+		}
+
+		const componentList = []
+		for (let record of components.values()) componentList.push({ ...record })
+
+		return {
+			components: componentList,
+			signals: signalList,
+			effects: [...effectList.values()].map(function({ id, name, signal }) {
+				return { id, name, signal }
+			}),
+			edges,
+			flushes: flushes.slice()
+		}
+	}
+
+	return {
+		emit,
+		subscribe,
+		setName,
+		snapshot,
+		toJSON: snapshot
+	}
+}
+
+function installDevtools(options) {
+	if (isProduction) {
+		console.warn('[rEFui] Devtools hook is not available in production builds.')
+	}
+
+	const installed = getDevtoolsHook()
+	if (installed) {
+		return installed
+	}
+
+	const hook = createDevtoolsHook(options)
+	hook.uninstall = function() {
+		if (globalThis[devtoolsHookName] === hook) {
+			delete globalThis[devtoolsHookName]
+		}
+	}
+
+	globalThis[devtoolsHookName] = hook
+
+	return hook
+}
+
+export { createDevtoolsHook, installDevtools, devtoolsHookName }
@@ -0,0 +1,112 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import type { Signal } from '../signal.js'
+
+export type FieldPath = string | number | readonly (string | number)[]
+
+export interface FieldValidatorInfo {
+	/** Aborted when the values change before validation completes */
+	signal?: AbortSignal
+}
+
+export type FieldValidator<V = any, T = any> = (
+	value: V,
+	values: T,
+	info: FieldValidatorInfo
+) => unknown | PromiseLike<unknown>
+
+export interface FieldOptions<V = any, T = any> {
+	validate?: FieldValidator<V, T>
+}
+
+export interface FieldBindOptions {
+	type?: 'text' | 'checkbox' | 'radio' | 'select' | 'file' | 'number' | 'range' | (string & {})
+	/** Option value of a radio, or of a checkbox in a group */
+	value?: unknown
+	/** Multiple select or file input */
+	multiple?: boolean
+}
+
+export interface Field<V = any> {
+	name: Signal<string>
+	value: Signal<V>
+	touched: Signal<boolean>
+	dirty: Signal<boolean>
+	error: Signal<unknown>
+	set(value: V): void
+	blur(): void
+	reset(): void
+	/** Props for the DOM renderer */
+	bind(options?: FieldBindOptions): Record<string, unknown>
+}
+
+export interface FieldScope<T = any> {
+	field<V = any>(path: FieldPath, options?: FieldOptions<V, T>): Field<V>
+	array<I = any>(path: FieldPath): FieldArray<I>
+}
+
+export interface FieldRow<T = any> extends FieldScope<T> {
+	key: number
+	index: Signal<number>
+}
+
+export interface FieldArray<I = any> {
+	/** One row per item, with stable keys to be used as `track` of `For` */
+	rows: Signal<FieldRow<I>[]>
+	insert(index: number, value: I): void
+	append(value: I): void
+	prepend(value: I): void
+	remove(index: number): void
+	move(from: number, to: number): void
+	swap(a: number, b: number): void
+}
+
+export type FormStatus = 'idle' | 'validating' | 'invalid' | 'submitting' | 'succeeded' | 'failed'
+
+export interface FormOptions<T extends object> {
+	initialValues?: T
+	/** Returns errors shaped like the values, or keyed by field name */
+	validate?: (values: T, info: FieldValidatorInfo) => unknown | PromiseLike<unknown>
+	/** Milliseconds to wait after the last change before validating, defaults to 200 */
+	debounce?: number
+	onSubmit?: (values: T) => unknown | PromiseLike<unknown>
+}
+
+export interface Form<T extends object> extends FieldScope<T> {
+	values: Signal<T>
+	initialValues: Signal<T>
+	errors: Signal<any>
+	isValid: Signal<boolean>
+	isDirty: Signal<boolean>
+	validating: Signal<boolean>
+	status: Signal<FormStatus>
+	submitting: Signal<boolean>
+	submitCount: Signal<number>
+	submitError: Signal<unknown>
+	setValues(values: T | ((previous: T) => T)): void
+	setErrors(errors: any): void
+	reset(values?: T): void
+	/** Resolves to whether `onSubmit` succeeded */
+	submit(): Promise<boolean>
+	handleSubmit(event?: Event): Promise<boolean>
+}
+
+export function createForm<T extends object = Record<string, any>>(options?: FormOptions<T>): Form<T>
@@ -0,0 +1,579 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { signal, computed, watch, peek, freeze, untrack, nextTick, collectDisposers, onDispose, createSchedule, asyncComputed } from 'refui/signal'
+import { isProduction } from 'refui/constants'
+import { isThenable, emptyArr } from 'refui/utils'
+
+// 'items.0.name' -> ['items', 0, 'name']
+function toPath(path) {
+	if (Array.isArray(path)) return path
+	if (typeof path === 'number') return [path]
+	if (!path) return emptyArr
+	return path.split('.').map(function(segment) {
+		return /^\d+$/.test(segment) ? Number(segment) : segment
+	})
+}
+
+function toName(path) {
+	return path.join('.')
+}
+
+function getIn(target, path) {
+	const length = path.length
+	for (let i = 0; i < length; i++) {
+		if (target === undefined || target === null) return
+		target = target[path[i]]
+	}
+	return target
+}
+
+// Copy on write, so values handed out before are never mutated
+function setIn(target, path, value, index = 0) {
+	if (index === path.length) return value
+	const key = path[index]
+	const current = target === undefined || target === null ? undefined : target[key]
+	const newValue = setIn(current, path, value, index + 1)
+	if (current === newValue && target !== undefined && target !== null) return target
+	let copy = null
+	if (Array.isArray(target)) copy = target.slice()
+	else if (target && typeof target === 'object') copy = { ...target }
+	else copy = typeof key === 'number' ? [] : {}
+	copy[key] = newValue
+	return copy
+}
+
+function isEqual(a, b) {
+	if (a === b) return true
+	if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false
+	if (Array.isArray(a) !== Array.isArray(b)) return false
+	const keys = Object.keys(a)
+	if (keys.length !== Object.keys(b).length) return false
+	for (let key of keys) {
+		if (!Object.hasOwn(b, key) || !isEqual(a[key], b[key])) return false
+	}
+	return true
+}
+
+function hasErrors(errors) {
+	if (!errors) return false
+	if (typeof errors !== 'object') return true
+	for (let key in errors) {
+		if (hasErrors(errors[key])) return true
+	}
+	return false
+}
+
+// Errors may be nested like the values, or keyed by field name
+function readError(errors, path) {
+	if (!errors) return null
+	return errors[toName(path)] || getIn(errors, path) || null
+}
+
+function createForm({ initialValues = {}, validate, debounce = 200, onSubmit } = {}) {
+	const initial = signal(initialValues)
+	const values = signal(initialValues)
+	const errors = signal({})
+	const status = signal('idle')
+	const submitCount = signal(0)
+	const submitError = signal(null)
+
+	const fields = new Set()
+	const validators = new Map()
+
+	// Fields live as long as the form, wherever they are first used
+	const run = freeze(function(fn, ...args) {
+		return fn(...args)
+	})
+
+	function collectErrors(currentValues, abortSignal) {
+		const pending = []
+		let result = validate ? validate(currentValues, { signal: abortSignal }) : null
+
+		if (isThenable(result)) {
+			pending.push(Promise.resolve(result).then(function(formErrors) {
+				result = formErrors
+			}))
+		}
+
+		const fieldErrors = []
+		for (let [field, validateField] of validators) {
+			const path = untrack(field._path)
+			const error = validateField(getIn(currentValues, path), currentValues, { signal: abortSignal })
+			const entry = [path, error]
+			fieldErrors.push(entry)
+			if (isThenable(error)) {
+				pending.push(Promise.resolve(error).then(function(resolved) {
+					entry[1] = resolved
+				}))
+			}
+		}
+
+		function merge() {
+			let merged = result ?? {}
+			for (let [path, error] of fieldErrors) {
+				if (error) merged = setIn(merged, path, error)
+			}
+			return merged
+		}
+
+		if (pending.length) return Promise.all(pending).then(merge)
+		return merge()
+	}
+
+	// Live validation, debounced and dropped when the values moved on
+	const stage = createSchedule(function(callback) {
+		const id = setTimeout(callback, debounce)
+		return function() {
+			clearTimeout(id)
+		}
+	})
+	const stagedValues = stage(function(commit) {
+		commit(values.value)
+	})
+	const liveValidation = asyncComputed(function(abortSignal) {
+		const currentValues = stagedValues.value
+		if (currentValues === undefined || (!validate && !validators.size)) return null
+		const result = collectErrors(currentValues, abortSignal)
+		if (isThenable(result)) {
+			return result.then(function(resolved) {
+				return [currentValues, resolved]
+			})
+		}
+		return [currentValues, result]
+	})
+	watch(function() {
+		const result = liveValidation.value.value
+		if (result && result[0] === values.peek()) errors.set(result[1])
+	})
+
+	const isValid = computed(function() {
+		return !hasErrors(errors.value)
+	})
+	const isDirty = computed(function() {
+		return !isEqual(values.value, initial.value)
+	})
+	const validating = computed(function() {
+		return liveValidation.pending.value || status.value === 'validating'
+	})
+	const submitting = computed(function() {
+		const currentStatus = status.value
+		return currentStatus === 'validating' || currentStatus === 'submitting'
+	})
+
+	function createField(getPath, options) {
+		const value = signal(getIn(values.peek(), untrack(getPath)))
+		const touched = signal(false)
+
+		watch(function() {
+			value.set(getIn(values.value, getPath()))
+		})
+		function commit() {
+			const path = untrack(getPath)
+			const currentValues = values.peek()
+			const newValue = value.peek()
+			if (getIn(currentValues, path) !== newValue) values.set(setIn(currentValues, path, newValue))
+		}
+		// Writes to `value` itself reach the form on the next flush
+		value.connect(commit, false)
+
+		const name = computed(function() {
+			return toName(getPath())
+		})
+		const dirty = computed(function() {
+			return !isEqual(value.value, getIn(initial.value, getPath()))
+		})
+		const error = computed(function() {
+			return readError(errors.value, getPath())
+		})
+
+		function set(newValue) {
+			value.set(newValue)
+			commit()
+		}
+
+		function blur() {
+			touched.set(true)
+		}
+
+		function reset() {
+			set(getIn(initial.peek(), untrack(getPath)))
+			touched.set(false)
+		}
+
+		function bind({ type, value: option, multiple = false } = {}) {
+			const props = {
+				name,
+				'on:blur': blur
+			}
+
+			switch (type) {
+				case 'checkbox': {
+					props.type = type
+					if (option === undefined) {
+						props.checked = computed(function() {
+							return !!value.value
+						})
+						props['on:change'] = function(event) {
+							set(event.target.checked)
+						}
+					} else {
+						// A group of checkboxes sharing one array value
+						props.value = option
+						props.checked = computed(function() {
+							return !!value.value?.includes(option)
+						})
+						props['on:change'] = function(event) {
+							const list = peek(value) ?? emptyArr
+							if (event.target.checked) {
+								if (!list.includes(option)) set([...list, option])
+							} else {
+								set(list.filter(function(item) {
+									return item !== option
+								}))
+							}
+						}
+					}
+					break
+				}
+				case 'radio': {
+					props.type = type
+					props.value = option
+					props.checked = computed(function() {
+						return value.value === option
+					})
+					props['on:change'] = function(event) {
+						if (event.target.checked) set(option)
+					}
+					break
+				}
+				case 'select': {
+					props.multiple = multiple
+					// Options are appended after props are set, so selection is synced afterwards
+					props.$ref = function(node) {
+						watch(function() {
+							const selected = value.value
+							nextTick(function() {
+								for (let item of node.options) {
+									item.selected = multiple ? !!selected?.includes(item.value) : item.value === String(selected ?? '')
+								}
+							})
+						})
+					}
+					props['on:change'] = function(event) {
+						const node = event.target
+						set(multiple ? Array.from(node.selectedOptions, function(item) {
+							return item.value
+						}) : node.value)
+					}
+					break
+				}
+				case 'file': {
+					props.type = type
+					props.multiple = multiple
+					props['on:change'] = function(event) {
+						const files = event.target.files
+						set(multiple ? Array.from(files ?? emptyArr) : files?.[0] ?? null)
+					}
+					break
+				}
+				case 'number':
+				case 'range': {
+					props.type = type
+					props.value = computed(function() {
+						const current = value.value
+						return current === null || current === undefined || Number.isNaN(current) ? '' : current
+					})
+					props['on:input'] = function(event) {
+						const newValue = event.target.valueAsNumber
+						set(Number.isNaN(newValue) ? null : newValue)
+					}
+					break
+				}
+				default: {
+					if (type) props.type = type
+					props.value = computed(function() {
+						return value.value ?? ''
+					})
+					props['on:input'] = function(event) {
+						set(event.target.value)
+					}
+				}
+			}
+
+			return props
+		}
+
+		const field = {
+			name,
+			value,
+			touched,
+			dirty,
+			error,
+			set,
+			blur,
+			reset,
+			bind,
+			_path: getPath
+		}
+
+		fields.add(field)
+		if (options?.validate) validators.set(field, options.validate)
+
+		onDispose(function() {
+			fields.delete(field)
+			validators.delete(field)
+		})
+
+		return field
+	}
+
+	function createArray(getPath, runInScope) {
+		let nextKey = 0
+		let rowList = []
+		const rows = signal(rowList)
+
+		function createRow(index) {
+			const rowIndex = signal(index)
+			const cleanups = []
+			const row = createScope(function() {
+				return [...getPath(), rowIndex.value]
+			}, function(fn, ...args) {
+				let result = null
+				cleanups.push(runInScope(collectDisposers, [], function() {
+					result = fn(...args)
+				}))
+				return result
+			})
+			row.key = nextKey++
+			row.index = rowIndex
+			row._dispose = function() {
+				for (let cleanup of cleanups) cleanup()
+				cleanups.length = 0
+			}
+			return row
+		}
+
+		function commitRows(nextRows) {
+			const rowCount = nextRows.length
+			for (let i = 0; i < rowCount; i++) nextRows[i].index.set(i)
+			rowList = nextRows
+			rows.set(nextRows)
+		}
+
+		// Values replaced from outside, e.g. by `reset`, keep the leading rows
+		watch(function() {
+			const list = getIn(values.value, getPath())
+			const length = Array.isArray(list) ? list.length : 0
+			if (length === rowList.length) return
+			untrack(function() {
+				const nextRows = rowList.slice(0, length)
+				for (let i = length; i < rowList.length; i++) rowList[i]._dispose()
+				for (let i = nextRows.length; i < length; i++) nextRows.push(createRow(i))
+				commitRows(nextRows)
+			})
+		})
+
+		function update(fn) {
+			const path = untrack(getPath)
+			const currentValues = values.peek()
+			const list = getIn(currentValues, path)
+			const nextList = Array.isArray(list) ? list.slice() : []
+			const nextRows = rowList.slice()
+			fn(nextList, nextRows)
+			commitRows(nextRows)
+			values.set(setIn(currentValues, path, nextList))
+		}
+
+		function insert(index, value) {
+			update(function(list, nextRows) {
+				list.splice(index, 0, value)
+				nextRows.splice(index, 0, createRow(index))
+			})
+		}
+
+		function append(value) {
+			insert(rowList.length, value)
+		}
+
+		function prepend(value) {
+			insert(0, value)
+		}
+
+		function remove(index) {
+			update(function(list, nextRows) {
+				list.splice(index, 1)
+				const [removed] = nextRows.splice(index, 1)
+				removed?._dispose()
+			})
+		}
+
+		function move(from, to) {
+			update(function(list, nextRows) {
+				list.splice(to, 0, ...list.splice(from, 1))
+				nextRows.splice(to, 0, ...nextRows.splice(from, 1))
+			})
+		}
+
+		function swap(a, b) {
+			update(function(list, nextRows) {
+				const item = list[a]
+				list[a] = list[b]
+				list[b] = item
+				const row = nextRows[a]
+				nextRows[a] = nextRows[b]
+				nextRows[b] = row
+			})
+		}
+
+		return {
+			rows,
+			insert,
+			append,
+			prepend,
+			remove,
+			move,
+			swap
+		}
+	}
+
+	// Fields and arrays are cached per path, relative to the scope
+	function createScope(getBase, runInScope) {
+		const cache = new Map()
+
+		function resolve(path) {
+			const relative = toPath(path)
+			return function() {
+				return [...getBase(), ...relative]
+			}
+		}
+
+		function field(path, options) {
+			const key = `f:${toName(toPath(path))}`
+			let cached = cache.get(key)
+			if (!cached) {
+				cached = runInScope(createField, resolve(path), options)
+				cache.set(key, cached)
+			} else if (options?.validate && !isProduction && validators.get(cached) !== options.validate) {
+				console.warn(`[rEFui] Field "${key.slice(2)}" already exists, its validator is not replaced.`)
+			}
+			return cached
+		}
+
+		function array(path) {
+			const key = `a:${toName(toPath(path))}`
+			let cached = cache.get(key)
+			if (!cached) {
+				cached = runInScope(createArray, resolve(path), runInScope)
+				cache.set(key, cached)
+			}
+			return cached
+		}
+
+		return {
+			field,
+			array
+		}
+	}
+
+	let currentSubmit = null
+
+	function submit() {
+		if (currentSubmit) return currentSubmit
+
+		submitCount.set(submitCount.peek() + 1)
+		submitError.set(null)
+		for (let field of fields) field.touched.set(true)
+		status.set('validating')
+
+		const submittedValues = values.peek()
+		currentSubmit = Promise.resolve()
+			.then(function() {
+				return collectErrors(submittedValues)
+			})
+			.then(function(result) {
+				errors.set(result)
+				if (hasErrors(result)) {
+					status.set('invalid')
+					return false
+				}
+				status.set('submitting')
+				return Promise.resolve(onSubmit?.(submittedValues)).then(function() {
+					status.set('succeeded')
+					return true
+				})
+			})
+			.catch(function(error) {
+				submitError.set(error)
+				status.set('failed')
+				return false
+			})
+			.finally(function() {
+				currentSubmit = null
+			})
+
+		return currentSubmit
+	}
+
+	function handleSubmit(event) {
+		event?.preventDefault?.()
+		return submit()
+	}
+
+	function setValues(newValues) {
+		values.set(typeof newValues === 'function' ? newValues(values.peek()) : newValues)
+	}
+
+	function reset(newValues) {
+		if (newValues !== undefined) initial.set(newValues)
+		values.set(initial.peek())
+		errors.set({})
+		status.set('idle')
+		submitCount.set(0)
+		submitError.set(null)
+		for (let field of fields) field.touched.set(false)
+	}
+
+	const { field, array } = createScope(function() {
+		return emptyArr
+	}, run)
+
+	return {
+		values,
+		initialValues: initial,
+		errors,
+		isValid,
+		isDirty,
+		validating,
+		status,
+		submitting,
+		submitCount,
+		submitError,
+		field,
+		array,
+		setValues,
+		setErrors: errors.set.bind(errors),
+		reset,
+		submit,
+		handleSubmit
+	}
+}
+
+export { createForm }
@@ -23,3 +23,7 @@ export * from './cache.js'
 export * from './unkeyed.js'
 export * from './parse.js'
 export * from './webcomponent.js'
+export * from './router.js'
+export * from './virtual.js'
+export * from './form.js'
+export * from './presence.js'
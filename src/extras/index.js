@@ -23,3 +23,7 @@ export { createPortal } from './portal.js'
 export { createCache } from './cache.js'
 export { UnKeyed } from './unkeyed.js'
 export { Parse } from './parse.js'
+export { Router, Route, Outlet, Link, useRouter, useLocation, useParams, useNavigate, createMemoryHistory, createBrowserHistory, createHashHistory, matchPath, matchRoutes, resolvePath } from './router.js'
+export { VirtualList } from './virtual.js'
+export { createForm } from './form.js'
+export { Presence, AnimatedFor } from './presence.js'
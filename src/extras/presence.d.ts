@@ -0,0 +1,58 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import type { RenderFunction, PossibleRender, ForProps, ForTemplate, IfProps } from '../components.js'
+
+export interface PresenceKeyframes extends KeyframeAnimationOptions {
+	keyframes: Keyframe[] | PropertyIndexedKeyframes
+}
+
+/**
+ * A class name prefix (`${name}-enter-from`, `-enter-active`, `-enter-to` and the same for `exit`),
+ * Web Animations keyframes with their options, or a function resolving once the animation is done
+ */
+export type PresenceHook =
+	| string
+	| PresenceKeyframes
+	| ((node: Element, info: { signal: AbortSignal | null }) => void | PromiseLike<unknown>)
+
+/** A class name applied while moving, Web Animations options, `true` for the defaults, or a function */
+export type PresenceMove =
+	| boolean
+	| string
+	| KeyframeAnimationOptions
+	| ((node: Element, offset: { x: number; y: number }) => void)
+
+export interface PresenceOptions {
+	enter?: PresenceHook
+	exit?: PresenceHook
+	/** Also play `enter` for what is rendered initially */
+	appear?: boolean
+}
+
+export interface PresenceProps extends IfProps, PresenceOptions {}
+
+export function Presence(props: PresenceProps, whenTrue?: PossibleRender, whenFalse?: PossibleRender): RenderFunction
+
+export type AnimatedForProps<T = unknown> = ForProps<T> & PresenceOptions & {
+	move?: PresenceMove
+}
+
+export function AnimatedFor<T = unknown>(props: AnimatedForProps<T>, template: ForTemplate<T>): RenderFunction
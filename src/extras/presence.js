@@ -0,0 +1,327 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { nextTick, onDispose, read, peek, _getErrorHandler } from 'refui/signal'
+import { For, If } from 'refui/components'
+import { markStatic, nop } from 'refui/utils'
+
+function isAnimatable(node) {
+	return !!node && node.nodeType === 1 && !!node.classList
+}
+
+function nextFrame(cb) {
+	if (typeof requestAnimationFrame !== 'function') return setTimeout(cb, 16)
+	// The first frame may already be painting, styles are only applied in the second one
+	requestAnimationFrame(function() {
+		requestAnimationFrame(cb)
+	})
+}
+
+function toMs(value) {
+	return value.endsWith('ms') ? parseFloat(value) : parseFloat(value) * 1000
+}
+
+function longest(durations, delays) {
+	const durationList = durations.split(',')
+	const delayList = delays.split(',')
+	let result = 0
+	const count = durationList.length
+	for (let i = 0; i < count; i++) {
+		const total = toMs(durationList[i]) + toMs(delayList[i % delayList.length] || '0s')
+		if (total > result) result = total
+	}
+	return result
+}
+
+// How long the CSS transitions and animations of a node take
+function getTimeout(node) {
+	if (typeof getComputedStyle !== 'function') return 0
+	const style = getComputedStyle(node)
+	return Math.max(
+		longest(style.transitionDuration || '0s', style.transitionDelay || '0s'),
+		longest(style.animationDuration || '0s', style.animationDelay || '0s')
+	) || 0
+}
+
+function createAbortable() {
+	const controller = typeof AbortController === 'function' ? new AbortController() : null
+	return controller ?? {
+		signal: null,
+		abort: nop
+	}
+}
+
+// `${name}-${phase}-from` and `-active` are applied first, `-from` is swapped for `-to` on the next frame
+function runClasses(node, name, phase, abortSignal) {
+	const from = `${name}-${phase}-from`
+	const active = `${name}-${phase}-active`
+	const to = `${name}-${phase}-to`
+	const classList = node.classList
+
+	classList.add(from, active)
+
+	return new Promise(function(resolve) {
+		let timer = 0
+		let settled = false
+
+		function done() {
+			if (settled) return
+			settled = true
+			clearTimeout(timer)
+			abortSignal?.removeEventListener('abort', done)
+			classList.remove(from, active, to)
+			resolve()
+		}
+
+		abortSignal?.addEventListener('abort', done)
+
+		nextFrame(function() {
+			if (settled) return
+			classList.remove(from)
+			classList.add(to)
+			const timeout = getTimeout(node)
+			if (timeout) timer = setTimeout(done, timeout)
+			else done()
+		})
+	})
+}
+
+function runKeyframes(node, { keyframes, ...options }, abortSignal) {
+	if (typeof node.animate !== 'function') return Promise.resolve()
+	const animation = node.animate(keyframes, options)
+	abortSignal?.addEventListener('abort', function() {
+		animation.cancel()
+	})
+	// Cancelled animations reject
+	return animation.finished.then(nop, nop)
+}
+
+function startHook(hook, node, phase, abortSignal) {
+	if (typeof hook === 'string') return runClasses(node, hook, phase, abortSignal)
+	if (typeof hook === 'function') return hook(node, { signal: abortSignal })
+	return runKeyframes(node, hook, abortSignal)
+}
+
+// A hook is a class name prefix, Web Animations keyframes with options, or `(node, { signal }) => Promise`
+// The returned promise always resolves, errors thrown or rejected by the hook go to `onError`
+function runHook(hook, node, phase, abortSignal, onError) {
+	let result = null
+	try {
+		result = startHook(hook, node, phase, abortSignal)
+	} catch (error) {
+		onError(error)
+		return Promise.resolve()
+	}
+	return Promise.resolve(result).then(nop, onError)
+}
+
+function runMove(move, node, x, y) {
+	if (typeof move === 'function') {
+		move(node, { x, y })
+		return
+	}
+
+	const transform = `translate(${x}px, ${y}px)`
+	if (typeof move === 'string') {
+		const style = node.style
+		style.transition = 'none'
+		style.transform = transform
+		// Apply the inverted position before transitioning back from it
+		node.getBoundingClientRect()
+		node.classList.add(move)
+		style.transition = ''
+		style.transform = ''
+		setTimeout(function() {
+			node.classList.remove(move)
+		}, getTimeout(node))
+	} else if (typeof node.animate === 'function') {
+		node.animate([{ transform }, { transform: 'none' }], {
+			duration: 200,
+			easing: 'ease',
+			...(move === true ? null : move)
+		})
+	}
+}
+
+// Wraps a renderer so nodes removed through it play `exit` first, nodes tracked through it play `enter`,
+// and nodes moved through it slide from their previous position
+function createPresence(R, { enter, exit, move, appear = false }) {
+	const AR = Object.create(R)
+	const keys = new WeakMap()
+	const entering = new WeakMap()
+	const exiting = new Map()
+	const live = new Set()
+
+	let mounted = !!appear
+	let disposed = false
+	let positions = null
+
+	const errorHandler = _getErrorHandler()
+	function onError(error) {
+		if (errorHandler) errorHandler(error)
+		else console.error(error)
+	}
+
+	function flip() {
+		const first = positions
+		positions = null
+		if (disposed) return
+		for (let [node, rect] of first) {
+			if (!node.isConnected) continue
+			const last = node.getBoundingClientRect()
+			const x = rect.left - last.left
+			const y = rect.top - last.top
+			if (x || y) runMove(move, node, x, y)
+		}
+	}
+
+	// Positions are taken before the first change of a flush, and compared after the last one
+	function measure() {
+		if (!move || positions || disposed) return
+		positions = new Map()
+		for (let node of live) {
+			if (node.isConnected) positions.set(node, node.getBoundingClientRect())
+		}
+		nextTick(flip)
+	}
+
+	function track(node, key) {
+		if (!isAnimatable(node)) return node
+
+		// Re-entering while still exiting, the old node goes away right away
+		exiting.get(key)?.()
+
+		keys.set(node, key)
+		live.add(node)
+
+		if (mounted && enter) {
+			const controller = createAbortable()
+			entering.set(node, controller)
+			nextTick(function() {
+				if (controller.signal?.aborted || disposed) return
+				runHook(enter, node, 'enter', controller.signal, onError).then(function() {
+					if (entering.get(node) === controller) entering.delete(node)
+				})
+			})
+		}
+
+		return node
+	}
+
+	AR.removeNode = function(node) {
+		if (!keys.has(node)) return R.removeNode(node)
+
+		const key = keys.get(node)
+		keys.delete(node)
+		live.delete(node)
+		entering.get(node)?.abort()
+		entering.delete(node)
+
+		if (!exit || disposed) return R.removeNode(node)
+
+		const controller = createAbortable()
+		let finished = false
+
+		function finish() {
+			if (finished) return
+			finished = true
+			if (exiting.get(key) === cancel) exiting.delete(key)
+			measure()
+			R.removeNode(node)
+		}
+
+		function cancel() {
+			controller.abort()
+			finish()
+		}
+
+		exiting.get(key)?.()
+		exiting.set(key, cancel)
+
+		runHook(exit, node, 'exit', controller.signal, onError).then(finish)
+	}
+
+	AR.insertBefore = function(node, ref) {
+		measure()
+		return R.insertBefore(node, ref)
+	}
+
+	AR.appendNode = function(parent, ...nodes) {
+		measure()
+		return R.appendNode(parent, ...nodes)
+	}
+
+	onDispose(function() {
+		disposed = true
+		for (let [, cancel] of [...exiting]) cancel()
+	})
+
+	return {
+		renderer: AR,
+		track,
+		mount() {
+			mounted = true
+		}
+	}
+}
+
+function Presence({ condition, true: trueCondition, else: otherwise, enter, exit, appear }, trueBranch, falseBranch) {
+	return function(R) {
+		const presence = createPresence(R, { enter, exit, appear })
+		const AR = presence.renderer
+
+		// Every branch `If` renders goes through `ensureElement`, keyed by the branch itself
+		AR.ensureElement = function(el) {
+			return presence.track(R.ensureElement(el), el)
+		}
+
+		const result = If({ condition, true: trueCondition, else: otherwise }, trueBranch, falseBranch)
+		const node = typeof result === 'function' ? AR.ensureElement(result(AR)) : R.ensureElement(result)
+		presence.mount()
+		return node
+	}
+}
+markStatic(Presence)
+
+function AnimatedFor({ enter, exit, move, appear, ...props }, itemTemplate) {
+	const { track } = props
+
+	return function(R) {
+		const presence = createPresence(R, { enter, exit, move, appear })
+		const AR = presence.renderer
+
+		// `For` creates every item with `R.c(itemTemplate, { item, index })`
+		AR.c = AR.createElement = function(tag, itemProps, ...children) {
+			const node = R.c(tag, itemProps, ...children)
+			if (tag !== itemTemplate) return node
+			const { item, index } = itemProps
+			if (!track) return presence.track(node, item)
+			const key = read(track)
+			return presence.track(node, typeof key === 'function' ? key(item, peek(index)) : item[key])
+		}
+
+		const node = For({ name: 'AnimatedFor', ...props }, itemTemplate)(AR)
+		presence.mount()
+		return node
+	}
+}
+markStatic(AnimatedFor)
+
+export { Presence, AnimatedFor }
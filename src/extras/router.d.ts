@@ -0,0 +1,128 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import type { Signal, MaybeSignal } from '../signal.js'
+import type { ComponentTemplate, PossibleRender, RenderFunction } from '../components.js'
+
+export type RouteParams = Record<string, string>
+
+export interface RouterLocation {
+	pathname: string
+	search: string
+	hash: string
+	state: unknown
+}
+
+export interface RouterHistory {
+	location: Signal<RouterLocation>
+	push(to: string, state?: unknown): void
+	replace(to: string, state?: unknown): void
+	go(delta: number): void
+	back(): void
+	forward(): void
+	createHref(to: string): string
+	dispose(): void
+}
+
+export interface WindowHistoryOptions {
+	window?: Window
+}
+
+export function createMemoryHistory(initialEntries?: string[], initialIndex?: number): RouterHistory
+export function createBrowserHistory(options?: WindowHistoryOptions): RouterHistory
+export function createHashHistory(options?: WindowHistoryOptions): RouterHistory
+
+export interface RouteDefinition<P = any> {
+	path?: string
+	component: ComponentTemplate<P>
+	props?: P
+	children?: RouteDefinition[]
+}
+
+export interface PathMatch {
+	params: RouteParams
+	path: string
+	rest: string
+}
+
+export interface RouteMatch {
+	route: RouteDefinition
+	params: RouteParams
+	path: string
+}
+
+export function matchPath(pattern: string, pathname: string, end?: boolean): PathMatch | null
+export function matchRoutes(routes: RouteDefinition[], pathname: string | null): RouteMatch[] | null
+export function resolvePath(from: string, to: string): string
+
+export interface RouteTransitionProps {
+	transition?: boolean
+	loading?: Signal<boolean>
+	pending?: Signal<boolean>
+}
+
+export interface RouterProps extends RouteTransitionProps {
+	history: RouterHistory
+	base?: string
+	routes?: MaybeSignal<RouteDefinition[]>
+	fallback?: PossibleRender
+}
+
+export interface OutletProps extends RouteTransitionProps {
+	fallback?: PossibleRender
+}
+
+export interface RouteProps {
+	path?: string
+	component?: ComponentTemplate<any>
+	end?: boolean
+	[key: string]: any
+}
+
+export interface LinkProps {
+	href: MaybeSignal<string>
+	replace?: MaybeSignal<boolean>
+	state?: MaybeSignal<unknown>
+	end?: boolean
+	[key: string]: any
+}
+
+export interface NavigateOptions {
+	replace?: boolean
+	state?: unknown
+}
+
+export interface RouterInstance {
+	history: RouterHistory
+	base: string
+	pathname: Signal<string | null>
+	createHref(to: string): string
+	navigate(to: string, options?: NavigateOptions): void
+}
+
+export function Router(props: RouterProps, ...children: any[]): RenderFunction
+export function Outlet(props?: OutletProps): PossibleRender
+export function Route(props: RouteProps, ...children: any[]): RenderFunction
+export function Link(props: LinkProps, ...children: any[]): RenderFunction
+
+export function useRouter(): RouterInstance
+export function useLocation(): Signal<RouterLocation>
+export function useParams<T extends RouteParams = RouteParams>(): Signal<T>
+export function useNavigate(): (to: string, options?: NavigateOptions) => void
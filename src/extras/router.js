@@ -0,0 +1,516 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { signal, computed, read, peek } from 'refui/signal'
+import { Fn, Transition, createContext, useContext, _withContext } from 'refui/components'
+import { cached, markStatic, nop } from 'refui/utils'
+import { isProduction } from 'refui/constants'
+
+const RouterContext = createContext(null, 'Router')
+const RouteContext = createContext(null, 'Route')
+
+// Path part
+
+function parsePath(path) {
+	let pathname = path ?? ''
+	let search = ''
+	let hash = ''
+
+	const hashIdx = pathname.indexOf('#')
+	if (hashIdx > -1) {
+		hash = pathname.slice(hashIdx)
+		pathname = pathname.slice(0, hashIdx)
+	}
+
+	const searchIdx = pathname.indexOf('?')
+	if (searchIdx > -1) {
+		search = pathname.slice(searchIdx)
+		pathname = pathname.slice(0, searchIdx)
+	}
+
+	return { pathname, search, hash }
+}
+
+function splitPath(pathname) {
+	return pathname.split('/').filter(Boolean)
+}
+
+function joinPaths(base, path) {
+	return `/${splitPath(`${base}/${path}`).join('/')}`
+}
+
+function resolvePath(from, to) {
+	const { pathname, search, hash } = parsePath(to)
+	if (!pathname) {
+		return `${from}${search}${hash}`
+	}
+
+	const segments = pathname[0] === '/' ? [] : splitPath(from)
+	for (let segment of splitPath(pathname)) {
+		if (segment === '..') segments.pop()
+		else if (segment !== '.') segments.push(segment)
+	}
+
+	return `/${segments.join('/')}${search}${hash}`
+}
+
+// Returns the part of `pathname` below `prefix`, or null when it is not below it
+function stripPrefix(prefix, pathname) {
+	if (pathname === null || pathname === undefined) return null
+	if (prefix === '/' || prefix === '') return pathname || '/'
+	if (pathname === prefix) return '/'
+	if (pathname.startsWith(`${prefix}/`)) return pathname.slice(prefix.length)
+	return null
+}
+
+function safeDecode(segment) {
+	try {
+		return decodeURIComponent(segment)
+	} catch (e) {
+		return segment
+	}
+}
+
+const compilePattern = cached(function(pattern) {
+	return splitPath(pattern).map(function(segment) {
+		if (segment[0] === '*') {
+			return { wildcard: true, name: segment.slice(1) || '*' }
+		}
+		if (segment[0] === ':') {
+			const optional = segment.endsWith('?')
+			return { param: true, name: segment.slice(1, optional ? -1 : segment.length), optional }
+		}
+		return { value: segment }
+	})
+})
+
+function matchPath(pattern, pathname, end = true) {
+	const segments = compilePattern(pattern ?? '')
+	const parts = splitPath(pathname)
+	const params = {}
+	const partCount = parts.length
+
+	let cursor = 0
+
+	for (let segment of segments) {
+		if (segment.wildcard) {
+			params[segment.name] = parts.slice(cursor).map(safeDecode).join('/')
+			cursor = partCount
+			break
+		}
+
+		const part = parts[cursor]
+		if (part === undefined) {
+			if (segment.optional) continue
+			return null
+		}
+
+		if (segment.param) {
+			params[segment.name] = safeDecode(part)
+		} else if (segment.value !== part) {
+			return null
+		}
+
+		cursor += 1
+	}
+
+	if (end && cursor < partCount) {
+		return null
+	}
+
+	return {
+		params,
+		path: `/${parts.slice(0, cursor).join('/')}`,
+		rest: `/${parts.slice(cursor).join('/')}`
+	}
+}
+
+function matchRoutes(routes, pathname) {
+	if (!routes || pathname === null) return null
+
+	const routeCount = routes.length
+	for (let i = 0; i < routeCount; i++) {
+		const route = routes[i]
+		const { children } = route
+		const hasChildren = !!(children && children.length)
+		const match = matchPath(route.path, pathname, !hasChildren)
+
+		if (!match) continue
+
+		const { params, path, rest } = match
+		const current = { route, params, path }
+
+		if (hasChildren) {
+			const childMatches = matchRoutes(children, rest)
+			if (childMatches) {
+				childMatches.unshift(current)
+				return childMatches
+			}
+			if (rest !== '/') continue
+		}
+
+		return [current]
+	}
+
+	return null
+}
+
+// History part
+
+function toLocation(path, state = null) {
+	const { pathname, search, hash } = parsePath(path)
+	return { pathname: pathname || '/', search, hash, state }
+}
+
+function createPath({ pathname, search, hash }) {
+	return `${pathname}${search}${hash}`
+}
+
+function createLocation(readLocation) {
+	const location = signal(readLocation())
+	function update() {
+		const next = readLocation()
+		const prev = location.peek()
+		if (createPath(next) !== createPath(prev) || next.state !== prev.state) {
+			location.value = next
+		}
+	}
+	return [location, update]
+}
+
+function createMemoryHistory(initialEntries = ['/'], initialIndex = initialEntries.length - 1) {
+	const entries = initialEntries.map(function(path) {
+		return toLocation(path)
+	})
+	let index = Math.max(0, Math.min(initialIndex, entries.length - 1))
+
+	const [location, update] = createLocation(function() {
+		return entries[index]
+	})
+
+	function go(delta) {
+		const next = Math.max(0, Math.min(index + delta, entries.length - 1))
+		if (next !== index) {
+			index = next
+			update()
+		}
+	}
+
+	return {
+		location,
+		push(to, state) {
+			index += 1
+			entries.splice(index, entries.length, toLocation(to, state))
+			update()
+		},
+		replace(to, state) {
+			entries[index] = toLocation(to, state)
+			update()
+		},
+		go,
+		back() {
+			go(-1)
+		},
+		forward() {
+			go(1)
+		},
+		createHref(to) {
+			return to
+		},
+		dispose: nop
+	}
+}
+
+function createWindowHistory(win, readPath, toHref, events) {
+	const [location, update] = createLocation(function() {
+		return toLocation(readPath(win.location), win.history.state)
+	})
+
+	for (let event of events) win.addEventListener(event, update)
+
+	return {
+		location,
+		push(to, state = null) {
+			win.history.pushState(state, '', toHref(to))
+			update()
+		},
+		replace(to, state = null) {
+			win.history.replaceState(state, '', toHref(to))
+			update()
+		},
+		go(delta) {
+			win.history.go(delta)
+		},
+		back() {
+			win.history.back()
+		},
+		forward() {
+			win.history.forward()
+		},
+		createHref: toHref,
+		dispose() {
+			for (let event of events) win.removeEventListener(event, update)
+		}
+	}
+}
+
+function readBrowserPath({ pathname, search, hash }) {
+	return `${pathname}${search}${hash}`
+}
+function createBrowserHistory({ window: win = globalThis.window } = {}) {
+	return createWindowHistory(win, readBrowserPath, function(to) {
+		return to
+	}, ['popstate'])
+}
+
+function readHashPath({ hash }) {
+	return hash.slice(1) || '/'
+}
+function createHashHistory({ window: win = globalThis.window } = {}) {
+	return createWindowHistory(win, readHashPath, function(to) {
+		return `#${to}`
+	}, ['popstate', 'hashchange'])
+}
+
+// Component part
+
+function useRouter() {
+	const router = useContext(RouterContext)
+	if (!isProduction && !router) {
+		throw new Error('Router hooks and components must be used inside a <Router>!')
+	}
+	return router
+}
+
+function useRoute() {
+	return useContext(RouteContext) ?? useRouter().root
+}
+
+function useLocation() {
+	return useRouter().history.location
+}
+
+const emptyParams = signal(Object.freeze({}))
+function useParams() {
+	return useContext(RouteContext)?.params ?? emptyParams
+}
+
+function useNavigate() {
+	const router = useRouter()
+	const route = useRoute()
+	return function(to, options) {
+		return router.navigate(resolvePath(route.path.peek(), to), options)
+	}
+}
+
+function createLevel(parent, match) {
+	return {
+		matches: parent.matches,
+		depth: parent.depth + 1,
+		path: signal(match, function(current) {
+			return current ? joinPaths(parent.path.peek(), current.path) : parent.path.peek()
+		}),
+		params: signal(match, function(current) {
+			return current ? { ...parent.params.peek(), ...current.params } : parent.params.peek()
+		})
+	}
+}
+
+function Outlet({ fallback = null, transition, loading, pending } = {}) {
+	const parent = useRoute()
+	const { matches, depth } = parent
+
+	if (!matches) {
+		return fallback
+	}
+
+	const match = signal(matches, function(chain) {
+		return chain ? chain[depth] : null
+	})
+	const route = signal(match, function(current) {
+		return current ? current.route : null
+	})
+	const level = createLevel(parent, match)
+
+	function renderRoute() {
+		const current = route.value
+		if (!current) {
+			return fallback
+		}
+		const { component, props } = current
+		return function(R) {
+			return _withContext(RouteContext, level, function() {
+				return R.c(component, props)
+			})
+		}
+	}
+
+	if (transition || loading || pending) {
+		return Transition({ name: 'Outlet', loading, pending }, renderRoute)
+	}
+
+	return Fn({ name: 'Outlet' }, renderRoute)
+}
+markStatic(Outlet)
+
+function Router({ history, base = '/', routes, fallback, transition, loading, pending }, ...children) {
+	const normalizedBase = joinPaths(base, '')
+	const pathname = signal(history.location, function({ pathname: current }) {
+		return stripPrefix(normalizedBase, current)
+	})
+	const matches = routes
+		? computed(function() {
+				return matchRoutes(read(routes), pathname.value)
+			})
+		: null
+
+	const root = {
+		matches,
+		depth: 0,
+		path: signal('/'),
+		params: emptyParams
+	}
+
+	// `to` is an absolute path inside of the router, the result includes `base`
+	function createHref(to) {
+		const { pathname: path, search, hash } = parsePath(to)
+		return history.createHref(`${joinPaths(normalizedBase, path)}${search}${hash}`)
+	}
+
+	function navigate(to, { replace, state } = {}) {
+		const { pathname: path, search, hash } = parsePath(resolvePath('/', to))
+		const target = `${joinPaths(normalizedBase, path)}${search}${hash}`
+		if (replace) history.replace(target, state)
+		else history.push(target, state)
+	}
+
+	const router = {
+		history,
+		base: normalizedBase,
+		pathname,
+		root,
+		createHref,
+		navigate
+	}
+
+	// Components must be created inside of the contexts so their own renders keep them
+	return function(R) {
+		return _withContext(RouterContext, router, function() {
+			return _withContext(RouteContext, root, function() {
+				if (routes) {
+					return R.c(Outlet, { fallback, transition, loading, pending })
+				}
+				return R.ensureElement(children)
+			})
+		})
+	}
+}
+markStatic(Router)
+
+function Route({ path = '/', component, end = false, ...props }, ...children) {
+	const router = useRouter()
+	const parent = useRoute()
+
+	const match = computed(function() {
+		const rest = stripPrefix(parent.path.value, router.pathname.value)
+		return rest === null ? null : matchPath(path, rest, end)
+	})
+	const matched = signal(match, function(current) {
+		return !!current
+	})
+	const level = createLevel({ ...parent, matches: null }, match)
+
+	return Fn({ name: 'Route' }, function() {
+		if (!matched.value) {
+			return null
+		}
+		return function(R) {
+			return _withContext(RouteContext, level, function() {
+				if (component) {
+					return R.c(component, props, ...children)
+				}
+				return R.ensureElement(children)
+			})
+		}
+	})
+}
+markStatic(Route)
+
+function isModifiedEvent(event) {
+	return !!(event.metaKey || event.altKey || event.ctrlKey || event.shiftKey)
+}
+
+function Link({ href, replace, state, end = false, 'on:click': userOnClick, ...props }, ...children) {
+	const router = useRouter()
+	const route = useRoute()
+
+	const target = computed(function() {
+		return resolvePath(route.path.value, read(href) ?? '')
+	})
+	const active = computed(function() {
+		const current = router.pathname.value
+		if (current === null) return false
+		const { pathname } = parsePath(target.value)
+		if (end || pathname === '/') return current === pathname
+		return current === pathname || current.startsWith(`${pathname}/`)
+	})
+
+	function onClick(event) {
+		userOnClick?.(event)
+		if (event.defaultPrevented || event.button !== 0 || isModifiedEvent(event)) return
+		const linkTarget = event.currentTarget?.getAttribute?.('target')
+		if (linkTarget && linkTarget !== '_self') return
+		event.preventDefault()
+		router.navigate(peek(target), { replace: read(replace), state: read(state) })
+	}
+
+	return function(R) {
+		return R.c(
+			'a',
+			{
+				...props,
+				href: computed(function() {
+					return router.createHref(target.value)
+				}),
+				'aria-current': active.choose('page', null),
+				'on:click': onClick
+			},
+			...children
+		)
+	}
+}
+markStatic(Link)
+
+export {
+	Router,
+	Route,
+	Outlet,
+	Link,
+	useRouter,
+	useLocation,
+	useParams,
+	useNavigate,
+	createMemoryHistory,
+	createBrowserHistory,
+	createHashHistory,
+	matchPath,
+	matchRoutes,
+	resolvePath
+}
@@ -0,0 +1,44 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import type { MaybeSignal } from '../signal.js'
+import type { RenderFunction, ForProps, ForExpose, ForTemplate } from '../components.js'
+
+export interface ScrollToIndexOptions {
+	align?: 'start' | 'center' | 'end'
+	behavior?: 'auto' | 'smooth' | 'instant'
+}
+
+export interface VirtualListExpose<T = unknown> extends Omit<ForExpose<T>, 'pending'> {
+	scrollToIndex(index: number, options?: ScrollToIndexOptions): void
+}
+
+export type VirtualListProps<T = unknown> = Omit<ForProps<T>, 'expose' | 'chunk' | 'timeSlice' | 'deferrer' | 'pending'> & {
+	expose?: (api: VirtualListExpose<T>) => void
+	itemSize?: MaybeSignal<number> | ((index: number, item: T) => number)
+	measure?: boolean
+	overscan?: number
+	horizontal?: boolean
+	recycle?: boolean
+	itemTag?: string
+	[key: string]: any
+}
+
+export function VirtualList<T = unknown>(props: VirtualListProps<T>, template: ForTemplate<T>): RenderFunction
@@ -0,0 +1,286 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { signal, computed, watch, read, peek, nextTick, onDispose } from 'refui/signal'
+import { For } from 'refui/components'
+import { markStatic, emptyArr, removeFromArr } from 'refui/utils'
+import { UnKeyed } from './unkeyed.js'
+
+// Largest index whose offset is not after `position`
+function findIndex(offsets, position) {
+	let low = 0
+	let high = offsets.length - 2
+	while (low < high) {
+		const mid = (low + high + 1) >> 1
+		if (offsets[mid] <= position) low = mid
+		else high = mid - 1
+	}
+	return Math.max(low, 0)
+}
+
+// Only renderers backed by real scrollable elements can be virtualized
+function isScrollable(node) {
+	return !!node && typeof node === 'object' && 'scrollTop' in node
+}
+
+export function VirtualList(
+	{
+		name = 'VirtualList',
+		entries,
+		track,
+		indexed,
+		expose,
+		itemSize = 0,
+		measure = false,
+		overscan = 3,
+		horizontal = false,
+		recycle = false,
+		itemTag = 'div',
+		...props
+	},
+	itemTemplate
+) {
+	const scrollOffset = signal(0)
+	const viewportSize = signal(0)
+	const layoutVersion = signal(0)
+	const sizes = new Map()
+
+	let viewport = null
+	let virtual = false
+
+	function getData() {
+		return read(entries) ?? emptyArr
+	}
+
+	function keyOf(item, index) {
+		if (!track) return item
+		const key = read(track)
+		return typeof key === 'function' ? key(item, index) : item[key]
+	}
+
+	function sizeOf(list, index) {
+		if (measure) {
+			const measured = sizes.get(keyOf(list[index], index))
+			if (measured) return measured
+		}
+		return typeof itemSize === 'function' ? itemSize(index, list[index]) : read(itemSize)
+	}
+
+	// offsets[i] is the start of item i, the last one is the total size
+	const offsets = computed(function() {
+		layoutVersion.touch()
+		const list = getData()
+		const count = list.length
+		const result = new Float64Array(count + 1)
+		for (let i = 0; i < count; i++) result[i + 1] = result[i] + sizeOf(list, i)
+		return result
+	})
+
+	function updateViewport() {
+		if (!viewport) return
+		viewportSize.value = horizontal ? viewport.clientWidth : viewport.clientHeight
+		scrollOffset.value = horizontal ? viewport.scrollLeft : viewport.scrollTop
+	}
+
+	function scrollToIndex(index, { align = 'start', behavior } = {}) {
+		const _offsets = offsets.peek()
+		const count = _offsets.length - 1
+		if (!count) return
+
+		index = Math.max(0, Math.min(index, count - 1))
+		const size = _offsets[index + 1] - _offsets[index]
+		const space = viewportSize.peek()
+
+		let position = _offsets[index]
+		if (align === 'center') position -= (space - size) / 2
+		else if (align === 'end') position -= space - size
+		position = Math.max(0, position)
+
+		if (viewport && virtual) {
+			const key = horizontal ? 'left' : 'top'
+			if (viewport.scrollTo) viewport.scrollTo({ [key]: position, behavior })
+			else viewport[horizontal ? 'scrollLeft' : 'scrollTop'] = position
+		}
+		scrollOffset.value = position
+	}
+
+	if (expose) {
+		function getItem(itemKey) {
+			if (!track) return itemKey
+			return getData().find(function(item, index) {
+				return keyOf(item, index) === itemKey
+			})
+		}
+		function remove(itemKey) {
+			const itemData = getItem(itemKey)
+			removeFromArr(peek(entries), itemData)
+			entries.trigger()
+		}
+		function clear() {
+			if (peek(entries)?.length) entries.set([])
+		}
+
+		expose({
+			getItem,
+			remove,
+			clear,
+			scrollToIndex
+		})
+	}
+
+	return function(R) {
+		viewport = R.c('div', {
+			style: 'overflow:auto',
+			...props,
+			'on:scroll': updateViewport
+		})
+		virtual = isScrollable(viewport)
+
+		const resizeObserver = virtual && typeof ResizeObserver === 'function'
+			? new ResizeObserver(function(records) {
+					let changed = false
+					for (let { target } of records) {
+						if (target === viewport) updateViewport()
+						else changed = updateSize(target) || changed
+					}
+					if (changed) layoutVersion.value += 1
+				})
+			: null
+
+		const measuredItems = new Map()
+
+		function updateSize(element) {
+			const item = measuredItems.get(element)
+			if (item === undefined) return false
+			const size = horizontal ? element.offsetWidth : element.offsetHeight
+			// Unrendered or hidden items keep their estimated size
+			if (!size) return false
+			const itemValue = peek(item)
+			const key = keyOf(itemValue, getData().indexOf(itemValue))
+			if (sizes.get(key) === size) return false
+			sizes.set(key, size)
+			return true
+		}
+
+		function remeasure(element) {
+			nextTick(function() {
+				if (updateSize(element)) layoutVersion.value += 1
+			})
+		}
+
+		function observe(element, item) {
+			measuredItems.set(element, item)
+			if (resizeObserver) resizeObserver.observe(element)
+			else remeasure(element)
+
+			// Recycled elements change their item without changing their size
+			if (recycle) {
+				watch(function() {
+					read(item)
+					remeasure(element)
+				})
+			}
+
+			onDispose(function() {
+				measuredItems.delete(element)
+				resizeObserver?.unobserve(element)
+			})
+		}
+
+		// Without a scrollable viewport, e.g. under the HTML renderer, every entry is rendered
+		let start = 0
+		let windowEntries = entries
+		let windowTrack = track
+		let innerStyle = null
+
+		if (virtual) {
+			const range = computed(function() {
+				const _offsets = offsets.value
+				const count = _offsets.length - 1
+				const startPos = scrollOffset.value
+				const first = findIndex(_offsets, startPos)
+				const last = findIndex(_offsets, startPos + viewportSize.value)
+				return [Math.max(0, first - overscan), Math.min(count, last + 1 + overscan)]
+			})
+			start = signal(range, function([first]) {
+				return first
+			})
+			const end = signal(range, function([, last]) {
+				return last
+			})
+
+			windowEntries = computed(function() {
+				return getData().slice(start.value, end.value)
+			})
+
+			// `For` only sees the window, key functions get the index in the whole list
+			if (track) {
+				windowTrack = function(item, index) {
+					return keyOf(item, start.peek() + index)
+				}
+			}
+
+			innerStyle = computed(function() {
+				const _offsets = offsets.value
+				const before = _offsets[start.value]
+				const after = _offsets[_offsets.length - 1] - _offsets[end.value]
+				if (horizontal) return `display:flex;width:max-content;padding-left:${before}px;padding-right:${after}px`
+				return `padding-top:${before}px;padding-bottom:${after}px`
+			})
+		}
+
+		function renderItem({ item, index }) {
+			const absoluteIndex = indexed && virtual
+				? computed(function() {
+						return start.value + read(index)
+					})
+				: index
+			const itemProps = measure && virtual
+				? {
+						$ref(element) {
+							observe(element, item)
+						}
+					}
+				: null
+			return function(R) {
+				return R.c(itemTag, itemProps, R.c(itemTemplate, { item, index: absoluteIndex }))
+			}
+		}
+
+		const list = recycle
+			? UnKeyed({ name, entries: windowEntries, indexed }, renderItem)
+			: For({ name, entries: windowEntries, track: windowTrack, indexed }, renderItem)
+
+		R.appendNode(viewport, R.c('div', { style: innerStyle }, list))
+
+		if (virtual) {
+			if (resizeObserver) resizeObserver.observe(viewport)
+			nextTick(updateViewport)
+			onDispose(function() {
+				resizeObserver?.disconnect()
+				viewport = null
+			})
+		}
+
+		return viewport
+	}
+}
+
+markStatic(VirtualList)
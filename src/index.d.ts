@@ -21,6 +21,8 @@
 export { computed as $, merge as $$, tpl as t } from './signal.js'
 
 export * from './signal.js'
+export * from './store.js'
 export * from './renderer.js'
 export * from './components.js'
+export * from './resource.js'
 export * from './reflow.js'
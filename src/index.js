@@ -23,6 +23,8 @@ import { computed, merge, tpl } from 'refui/signal'
 export { computed as $, merge as $$, tpl as t }
 
 export * from 'refui/signal'
+export * from 'refui/store'
 export * from 'refui/renderer'
 export * from 'refui/components'
+export * from 'refui/resource'
 export * from 'refui/reflow'
@@ -28,6 +28,7 @@ export const propAliases: Record<string, string>
 export const directives: {
 	style(key: string): DOMDirectiveFactory
 	class(key: string): DOMDirectiveFactory
+	bind(key: 'value' | 'checked' | 'valueAsNumber' | 'selectedOptions' | 'files' | 'group' | (string & {})): DOMDirectiveFactory
 }
 
 export function onDirective(prefix: string, key: string): DOMDirectiveFactory | undefined
@@ -18,7 +18,9 @@
  * under the License.
  */
 
-import { nextTick, bind } from 'refui/signal'
+import { nextTick, bind, isSignal, peek, watch, onDispose } from 'refui/signal'
+import { isProduction } from 'refui/constants'
+import { styleAttr, _collectClasses, _collectStyles } from 'refui/css'
 
 function reverseMap(keyValsMap) {
 	const reversed = {}
@@ -47,7 +49,7 @@ export const namespaces = {
 
 export const tagAliases = {}
 
-const attributes = ['class', 'style', 'viewBox', 'd', 'tabindex', 'role', 'for']
+const attributes = ['viewBox', 'd', 'tabindex', 'role', 'for']
 
 const namespaceToTagsMap = {
 	svg: [
@@ -116,10 +118,203 @@ const namespaceToTagsMap = {
 }
 
 export const tagNamespaceMap = reverseMap(namespaceToTagsMap)
-export const propAliases = prefix('attr:', attributes)
+// `class` and `style` take every form their directives accept, see `setClass` and `setStyle`
+export const propAliases = {
+	...prefix('attr:', attributes),
+	class: 'class:*',
+	style: 'style:*'
+}
+
+function isSelect(node) {
+	return node.tagName === 'SELECT'
+}
+
+function selectedValues(node) {
+	return Array.from(node.selectedOptions, function(option) {
+		return option.value
+	})
+}
+
+function selectOptions(node, isSelected) {
+	for (let option of node.options) option.selected = isSelected(option.value)
+}
+
+// How each `bind:` key reads from and writes to a node
+const bindings = {
+	value: {
+		event(node) {
+			return isSelect(node) ? 'change' : 'input'
+		},
+		read(node) {
+			return node.value
+		},
+		write(node, value) {
+			value = value === undefined || value === null ? '' : `${value}`
+			if (node.value !== value) node.value = value
+		}
+	},
+	checked: {
+		read(node) {
+			return node.checked
+		},
+		write(node, value) {
+			node.checked = !!value
+		}
+	},
+	valueAsNumber: {
+		event: 'input',
+		read(node) {
+			const value = node.valueAsNumber
+			return Number.isNaN(value) ? null : value
+		},
+		write(node, value) {
+			if (value === undefined || value === null || Number.isNaN(value)) node.value = ''
+			else if (node.valueAsNumber !== value) node.valueAsNumber = value
+		}
+	},
+	selectedOptions: {
+		read: selectedValues,
+		write(node, value) {
+			selectOptions(node, function(optionValue) {
+				return !!value?.includes(optionValue)
+			})
+		}
+	},
+	files: {
+		read(node) {
+			return node.files
+		},
+		write(node, value) {
+			// Only a FileList can be assigned, anything else clears the selection
+			if (value && value !== node.files && typeof value.item === 'function') node.files = value
+			else if (!value?.length) node.value = ''
+		}
+	},
+	group: {
+		read(node, current) {
+			if (node.type === 'radio') return node.checked ? node.value : current
+			const list = current ?? []
+			if (node.checked) return list.includes(node.value) ? list : [...list, node.value]
+			return list.filter(function(item) {
+				return item !== node.value
+			})
+		},
+		write(node, value) {
+			node.checked = node.type === 'radio' ? value === node.value : !!value?.includes(node.value)
+		}
+	}
+}
+
+function getBinding(key) {
+	return bindings[key] ?? {
+		read(node) {
+			return node[key]
+		},
+		write(node, value) {
+			if (node[key] !== value) node[key] = value
+		}
+	}
+}
+
+// Only the names that changed are added or removed
+function setClass(node, val) {
+	if (val === undefined || val === null || val === false) return
+	if (typeof val === 'string') {
+		node.setAttribute('class', val)
+		return
+	}
+
+	const classList = node.classList
+	let current = new Set()
+
+	watch(function() {
+		const names = new Set()
+		_collectClasses(val, names)
+		for (let name of current) {
+			if (!names.has(name)) classList.remove(name)
+		}
+		for (let name of names) {
+			if (!current.has(name)) classList.add(name)
+		}
+		current = names
+	})
+}
+
+function setStyleProperty(styleObj, name, value) {
+	if (value.endsWith('!important')) styleObj.setProperty(name, value.slice(0, -10).trim(), 'important')
+	else styleObj.setProperty(name, value)
+}
+
+// Only the properties that changed are set or removed, so `style:` props are kept
+function setStyle(node, val) {
+	if (val === undefined || val === null || val === false) return
+	if (typeof val === 'string') {
+		node.setAttribute('style', val)
+		return
+	}
+
+	const styleObj = node.style
+	let current = new Map()
+	let parser = null
+
+	watch(function() {
+		const styles = new Map()
+		const text = _collectStyles(val, styles)
+		if (text) {
+			if (!parser) parser = node.ownerDocument.createElement('div').style
+			parser.cssText = text
+			const count = parser.length
+			for (let i = 0; i < count; i++) {
+				const name = parser[i]
+				const priority = parser.getPropertyPriority(name)
+				const value = parser.getPropertyValue(name)
+				styles.set(name, priority ? `${value} !${priority}` : value)
+			}
+		}
+		for (let name of current.keys()) {
+			if (!styles.has(name)) styleObj.removeProperty(name)
+		}
+		for (let [name, value] of styles) {
+			if (current.get(name) !== value) setStyleProperty(styleObj, name, value)
+		}
+		current = styles
+	})
+}
+
+// Rules injected by `css:` props, per document or shadow root
+const styleSheets = new WeakMap()
+
+function getStyleSheet(root) {
+	let sheet = styleSheets.get(root)
+	if (sheet) return sheet
+
+	// Reuse the block rendered by the server, so its rules are not injected twice
+	let element = root.querySelector(`style[${styleAttr}]`)
+	const ids = new Set(element ? element.getAttribute(styleAttr).split(' ') : null)
+	if (!element) {
+		const doc = root.ownerDocument ?? root
+		const container = root.head ?? root
+		element = doc.createElement('style')
+		element.setAttribute(styleAttr, '')
+		container.appendChild(element)
+	}
+
+	sheet = { element, ids }
+	styleSheets.set(root, sheet)
+	return sheet
+}
+
+function injectStyle(root, { id, text }) {
+	const { element, ids } = getStyleSheet(root)
+	if (ids.has(id)) return
+	ids.add(id)
+	element.appendChild(element.ownerDocument.createTextNode(text))
+}
 
 export const directives = {
 	style(key) {
+		if (key === '*') return setStyle
+		const custom = key.startsWith('--')
 		return function(node, val) {
 			if (val === undefined || val === null) return
 
@@ -127,7 +322,13 @@ export const directives = {
 
 			function handler(newVal) {
 				return nextTick(function() {
-					if (newVal === undefined || newVal === null || newVal === false) {
+					if (custom) {
+						if (newVal === undefined || newVal === null || newVal === false) {
+							styleObj.removeProperty(key)
+						} else {
+							styleObj.setProperty(key, newVal)
+						}
+					} else if (newVal === undefined || newVal === null || newVal === false) {
 						styleObj[key] = 'unset'
 					} else {
 						styleObj[key] = newVal
@@ -139,6 +340,7 @@ export const directives = {
 		}
 	},
 	class(key) {
+		if (key === '*') return setClass
 		return function(node, val) {
 			if (val === undefined || val === null) return
 
@@ -156,6 +358,74 @@ export const directives = {
 
 			bind(handler, val)
 		}
+	},
+	css() {
+		return function(node, rule) {
+			if (!rule) return
+
+			injectStyle(node.ownerDocument, rule)
+
+			// Elements rendered into a shadow root need the rule there as well
+			nextTick(function() {
+				const root = node.getRootNode()
+				if (root !== node && root.nodeType === 11) injectStyle(root, rule)
+			})
+		}
+	},
+	bind(key) {
+		const { event = 'change', read, write } = getBinding(key)
+		return function(node, val) {
+			if (!isSignal(val)) {
+				if (!isProduction) {
+					console.warn(`[rEFui] bind:${key} expects a signal, the value is only set once.`)
+				}
+				if (val !== undefined && val !== null) write(node, val)
+				return
+			}
+
+			const eventName = typeof event === 'function' ? event(node) : event
+			// Options of a select are appended after its props are set
+			const deferred = isSelect(node)
+			let composing = false
+
+			function update() {
+				if (!composing) val.value = read(node, peek(val))
+			}
+
+			function handler(newVal) {
+				if (deferred) {
+					return nextTick(function() {
+						write(node, peek(val))
+					})
+				}
+				write(node, newVal)
+			}
+
+			bind(handler, val)
+			node.addEventListener(eventName, update)
+
+			// Text being composed by an IME is committed once composition ends
+			const composable = key === 'value' && eventName === 'input'
+			function onCompositionStart() {
+				composing = true
+			}
+			function onCompositionEnd() {
+				composing = false
+				update()
+			}
+			if (composable) {
+				node.addEventListener('compositionstart', onCompositionStart)
+				node.addEventListener('compositionend', onCompositionEnd)
+			}
+
+			onDispose(function() {
+				node.removeEventListener(eventName, update)
+				if (composable) {
+					node.removeEventListener('compositionstart', onCompositionStart)
+					node.removeEventListener('compositionend', onCompositionEnd)
+				}
+			})
+		}
 	}
 }
 
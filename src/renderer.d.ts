@@ -69,4 +69,8 @@ export function createRenderer<Ops extends BaseNodeOps<any, any>>(nodeOps: Ops,
 
 export const Fragment: '<>'
 
+export const hydrationKeyAttr: 'data-hk'
+export const hydrationAnchorPrefix: 'hk:'
+export const hydrationTextPrefix: 'ht:'
+
 export type Renderer = RendererCore<any, any>
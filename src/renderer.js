@@ -25,6 +25,10 @@ import { isProduction } from 'refui/constants'
 
 const Fragment = '<>'
 
+const hydrationKeyAttr = 'data-hk'
+const hydrationAnchorPrefix = 'hk:'
+const hydrationTextPrefix = 'ht:'
+
 const dummyFutureHandler = function(props) {
 	return props.result
 }
@@ -313,4 +317,4 @@ function createRenderer(nodeOps, rendererID) {
 	return renderer
 }
 
-export { createRenderer, Fragment }
+export { createRenderer, Fragment, hydrationKeyAttr, hydrationAnchorPrefix, hydrationTextPrefix }
@@ -19,6 +19,7 @@
  */
 
 import type { RendererFromOps, BaseNodeOps } from '../renderer.js'
+import type { Component, ComponentTemplate } from '../components.js'
 
 export type DOMMacroHandler<Node extends Element = Element, Value = any> = (node: Node, value: Value) => void
 
@@ -45,9 +46,13 @@ export interface DOMRendererOptions<Node extends Element = Element, Fragment = D
 	propAliases?: Record<string, string>
 	onDirective?: (prefix: string, key: string, prop: string) => DOMDirectiveFactory<Node> | void
 	macros?: Record<string, DOMMacroHandler<Node>>
+	/** Event types whose plain `on:` listeners are delegated to the document */
+	delegatedEvents?: string[]
 }
 
-export type DOMRenderer<Node extends Element = Element, Fragment = DocumentFragment> = RendererFromOps<DOMNodeOps<Node, Fragment>>
+export type DOMRenderer<Node extends Element = Element, Fragment = DocumentFragment> = RendererFromOps<DOMNodeOps<Node, Fragment>> & {
+	hydrate<P = any>(target: Node | Fragment, template: ComponentTemplate<P>, props?: P, ...children: any[]): Component<P>
+}
 
 export const defaultRendererID: string
 
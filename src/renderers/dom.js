@@ -18,8 +18,8 @@
  * under the License.
  */
 
-import { isSignal, nextTick, peek, bind } from 'refui/signal'
-import { createRenderer } from 'refui/renderer'
+import { isSignal, nextTick, peek, bind, onDispose, _guard, _getErrorHandler } from 'refui/signal'
+import { createRenderer, hydrationKeyAttr, hydrationAnchorPrefix, hydrationTextPrefix } from 'refui/renderer'
 import { nop, cachedStrKeyNoFalsy, splitFirst } from 'refui/utils'
 import { isProduction } from 'refui/constants'
 
@@ -46,6 +46,8 @@ Apply order:
 
 const defaultRendererID = 'DOM'
 
+const nonBubblingEvents = ['focus', 'blur', 'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave', 'load', 'error', 'scroll']
+
 function createDOMRenderer({
 	rendererID = defaultRendererID,
 	doc = document,
@@ -54,7 +56,8 @@ function createDOMRenderer({
 	tagAliases = {},
 	propAliases = {},
 	onDirective,
-	macros = {}
+	macros = {},
+	delegatedEvents = []
 } = {}) {
 	let eventPassiveSupported = false
 	let eventOnceSupported = false
@@ -122,26 +125,176 @@ function createDOMRenderer({
 		}
 	})
 
+	const getLocalName = cachedStrKeyNoFalsy(function(tagNameRaw) {
+		const tagName = tagNameRaw.split(':').pop()
+		return (tagAliases[tagName] || tagName).toLowerCase()
+	})
+
+	// Hydration part
+
+	let hydration = null
+
+	function collectHydrationNodes(parent, keyed) {
+		let node = parent.firstChild
+		while (node) {
+			if (node.nodeType === 1) {
+				const key = node.getAttribute(hydrationKeyAttr)
+				if (key !== null) {
+					keyed.set(Number(key), node)
+				}
+				collectHydrationNodes(node, keyed)
+			} else if (node.nodeType === 8 && node.data.startsWith(hydrationAnchorPrefix)) {
+				keyed.set(Number(node.data.slice(hydrationAnchorPrefix.length)), node)
+			} else if (node.nodeType === 8 && node.data.startsWith(hydrationTextPrefix)) {
+				keyed.set(Number(node.data.slice(hydrationTextPrefix.length)), node)
+			}
+			node = node.nextSibling
+		}
+	}
+
+	function describeNode(node) {
+		if (!node) return 'nothing'
+		if (node.nodeType === 1) return `<${node.localName}>`
+		return `#${node.nodeName}`
+	}
+
+	function claimNode(matches, expected) {
+		const key = hydration.key++
+		const node = hydration.keyed.get(key)
+		hydration.keyed.delete(key)
+		if (node && matches(node)) {
+			return node
+		}
+		if (!isProduction) {
+			hydration.mismatches.push(`key ${key}: expected ${expected}, found ${describeNode(node)}`)
+		}
+		return null
+	}
+
+	function own(node) {
+		if (hydration) hydration.owned.add(node)
+		return node
+	}
+
+	function pruneUnowned(parent, owned) {
+		let node = parent.firstChild
+		while (node) {
+			const next = node.nextSibling
+			if (!owned.has(node)) {
+				parent.removeChild(node)
+			}
+			node = next
+		}
+	}
+
+	function startHydration(target) {
+		const keyed = new Map()
+		collectHydrationNodes(target, keyed)
+		hydration = {
+			key: 0,
+			keyed,
+			owned: new WeakSet(),
+			claimed: [],
+			mismatches: []
+		}
+	}
+
+	function finishHydration(target) {
+		const { key, keyed, owned, claimed, mismatches } = hydration
+		hydration = null
+
+		pruneUnowned(target, owned)
+		const claimedCount = claimed.length
+		for (let i = 0; i < claimedCount; i++) {
+			const node = claimed[i]
+			if (node.nodeType === 1) {
+				node.removeAttribute(hydrationKeyAttr)
+				pruneUnowned(node, owned)
+			}
+		}
+
+		if (!isProduction) {
+			// Keys beyond the last claimed one belong to async content rendered later on the server
+			for (let [unclaimedKey, node] of keyed) {
+				if (unclaimedKey < key) {
+					mismatches.push(`key ${unclaimedKey}: server rendered ${describeNode(node)} was never claimed`)
+				}
+			}
+			if (mismatches.length) {
+				console.warn(`[rEFui] Hydration mismatch, affected nodes have been re-created:\n  ${mismatches.join('\n  ')}`)
+			}
+		}
+	}
+
 	function createNode(tagName) {
+		if (hydration) {
+			const localName = getLocalName(tagName)
+			const node = claimNode(function(node) {
+				return node.nodeType === 1 && node.localName.toLowerCase() === localName
+			}, `<${localName}>`)
+			if (node) {
+				hydration.claimed.push(node)
+				return own(node)
+			}
+			return own(getNodeCreator(tagName)())
+		}
 		return getNodeCreator(tagName)()
 	}
-	function createAnchor(anchorName, explicit) {
+	function _createAnchor(anchorName, explicit) {
 		if (explicit || !isProduction && anchorName) {
 			return doc.createComment(anchorName)
 		}
 		return doc.createTextNode('')
 	}
+	function createAnchor(anchorName, explicit) {
+		if (hydration) {
+			const node = claimNode(function(node) {
+				return node.nodeType === 8 && node.data.startsWith(hydrationAnchorPrefix)
+			}, 'anchor')
+			if (node) {
+				if (!isProduction && anchorName) {
+					node.data = anchorName
+				}
+				return own(node)
+			}
+			return own(_createAnchor(anchorName, explicit))
+		}
+		return _createAnchor(anchorName, explicit)
+	}
+	// The text follows its marker, there is none inside elements like <title> or when the text is empty
+	function claimTextNode() {
+		if (!hydration.keyed.has(hydration.key)) {
+			hydration.key++
+			return null
+		}
+		const marker = claimNode(function(node) {
+			return node.nodeType === 8 && node.data.startsWith(hydrationTextPrefix)
+		}, 'text')
+		const node = marker?.nextSibling
+		if (node && node.nodeType === 3) {
+			return node
+		}
+		return null
+	}
+	function _createTextNode() {
+		if (hydration) {
+			return own(claimTextNode() ?? doc.createTextNode(''))
+		}
+		return doc.createTextNode('')
+	}
 	function createTextNode(text) {
+		const node = _createTextNode()
 		if (isSignal(text)) {
-			const node = doc.createTextNode('')
 			text.connect(function() {
-				const newData = peek(text) ?? ''
-				node.data = String(newData)
+				const newData = String(peek(text) ?? '')
+				if (node.data !== newData) node.data = newData
 			})
 			return node
 		}
 
-		return doc.createTextNode(String(text ?? ''))
+		const data = String(text ?? '')
+		if (node.data !== data) node.data = data
+		return node
 	}
 	function createFragment() {
 		return doc.createDocumentFragment()
@@ -160,45 +313,105 @@ function createDOMRenderer({
 		ref.parentNode?.insertBefore(node, ref)
 	}
 
+	// Delegated handlers, one root listener per event type dispatches to them
+	const delegatedHandlers = new Map()
+
+	function getEventPath(event) {
+		if (event.composedPath) return event.composedPath()
+		const path = []
+		let node = event.target
+		while (node) {
+			path.push(node)
+			node = node.parentNode
+		}
+		return path
+	}
+
+	function dispatchDelegated(event) {
+		const handlers = delegatedHandlers.get(event.type)
+		const path = getEventPath(event)
+		const pathLength = path.length
+		for (let i = 0; i < pathLength; i++) {
+			const node = path[i]
+			if (node === doc) break
+			const handler = handlers.get(node)
+			if (handler) {
+				Object.defineProperty(event, 'currentTarget', {
+					value: node,
+					configurable: true
+				})
+				handler.call(node, event)
+				if (event.cancelBubble) break
+			}
+		}
+	}
+
+	function delegate(node, eventName, handler) {
+		let handlers = delegatedHandlers.get(eventName)
+		if (!handlers) {
+			handlers = new WeakMap()
+			delegatedHandlers.set(eventName, handlers)
+			doc.addEventListener(eventName, dispatchDelegated)
+		}
+		handlers.set(node, handler)
+		return function() {
+			if (handlers.get(node) === handler) handlers.delete(node)
+		}
+	}
+
 	const getListenerAdder = cachedStrKeyNoFalsy(function(event) {
 		const [prefix, eventName] = event.split(':')
-		if (prefix === 'on') {
-			return function(node, cb) {
-				if (!cb) return
-				if (isSignal(cb)) {
-					let currentHandler = null
-					cb.connect(function() {
-						const newHandler = peek(cb)
-						if (currentHandler) node.removeEventListener(eventName, currentHandler)
-						if (newHandler) node.addEventListener(eventName, newHandler)
-						currentHandler = newHandler
-					})
-				} else node.addEventListener(eventName, cb)
+		const optionsArr = prefix.split('-')
+		optionsArr.shift()
+		let options = null
+		let delegated = prefix === 'on' && delegatedEvents.includes(eventName)
+		const optionCount = optionsArr.length
+		for (let i = 0; i < optionCount; i++) {
+			const option = optionsArr[i]
+			if (option === 'delegate') delegated = true
+			else if (option) {
+				if (!options) options = {}
+				options[option] = true
 			}
-		} else {
-			const optionsArr = prefix.split('-')
-			optionsArr.shift()
-			const options = {}
-			const optionCount = optionsArr.length
-			for (let i = 0; i < optionCount; i++) {
-				if (optionsArr[i]) options[optionsArr[i]] = true
+		}
+
+		// Listener options can only be honored by real listeners
+		if (delegated && options) {
+			if (!isProduction) {
+				console.warn(`[rEFui] "${event}" has listener options and cannot be delegated, a listener is added to the element instead.`)
 			}
-			return function(node, cb) {
-				if (!cb) return
-				if (isSignal(cb)) {
-					let currentHandler = null
-					cb.connect(function() {
-						let newHandler = peek(cb)
-						if (currentHandler) node.removeEventListener(eventName, currentHandler, options)
-						if (newHandler) {
-							newHandler = eventCallbackFallback(node, eventName, newHandler, options)
-							node.addEventListener(eventName, newHandler, options)
-						}
-						currentHandler = newHandler
-					})
-				} else node.addEventListener(eventName, eventCallbackFallback(node, eventName, cb, options), options)
+			delegated = false
+		}
+
+		if (!isProduction && delegated && nonBubblingEvents.includes(eventName)) {
+			console.warn(`[rEFui] "${eventName}" events do not bubble and will never reach the delegated listener.`)
+		}
+
+		function attach(node, handler) {
+			if (delegated) return delegate(node, eventName, handler)
+			if (options) handler = eventCallbackFallback(node, eventName, handler, options)
+			node.addEventListener(eventName, handler, options ?? undefined)
+			return function() {
+				node.removeEventListener(eventName, handler, options ?? undefined)
 			}
 		}
+
+		return function(node, cb) {
+			if (!cb) return
+			if (isSignal(cb)) {
+				const errorHandler = _getErrorHandler()
+				let detach = null
+				cb.connect(function() {
+					const newHandler = peek(cb)
+					detach?.()
+					detach = newHandler ? attach(node, _guard(newHandler, errorHandler)) : null
+				})
+				onDispose(function() {
+					detach?.()
+					detach = null
+				})
+			} else onDispose(attach(node, _guard(cb)))
+		}
 	})
 	function addListener(node, event, cb) {
 		getListenerAdder(event)(node, cb)
@@ -304,7 +517,23 @@ function createDOMRenderer({
 		useMacro
 	}
 
-	return createRenderer(nodeOps, rendererID)
+	const renderer = createRenderer(nodeOps, rendererID)
+
+	function hydrate(target, ...args) {
+		if (hydration) {
+			throw new Error('Hydration is already in progress!')
+		}
+		startHydration(target)
+		try {
+			return renderer.render(target, ...args)
+		} finally {
+			finishHydration(target)
+		}
+	}
+
+	renderer.hydrate = hydrate
+
+	return renderer
 }
 
 export { createDOMRenderer, defaultRendererID }
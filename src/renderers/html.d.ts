@@ -19,18 +19,42 @@
  */
 
 import type { BaseNodeOps, RendererFromOps } from '../renderer.js'
+import type { ComponentTemplate } from '../components.js'
+import type { TransferState } from '../transfer.js'
+import type { StyleCollector } from '../css.js'
 
 export interface HTMLRendererOptions {
 	rendererID?: string
 	selfClosingTags?: Record<string, boolean>
+	hydratable?: boolean
 }
 
 export interface HTMLNodeOps extends BaseNodeOps<any, any> {
 	rawHTML(strings: TemplateStringsArray | readonly string[] | string, ...exprs: unknown[]): any
 	serialize(node: unknown): string
+	serializeState(state: TransferState, options?: { id?: string; nonce?: string }): string
+	serializeStyles(styles: StyleCollector, options?: { nonce?: string }): string
+	resetHydrationKeys(): void
 }
 
-export type HTMLRenderer = RendererFromOps<HTMLNodeOps>
+export interface HTMLStreamOptions {
+	nonce?: string
+}
+
+export interface HTMLRenderToStringOptions {
+	timeout?: number
+	onTimeout?: (unresolved: Array<string | null>) => void
+}
+
+export interface HTMLNodeStream extends AsyncIterable<Uint8Array> {
+	pipe<T>(destination: T, options?: { end?: boolean }): T
+}
+
+export type HTMLRenderer = RendererFromOps<HTMLNodeOps> & {
+	renderToString<P = any>(template: ComponentTemplate<P>, props?: P, options?: HTMLRenderToStringOptions): Promise<string>
+	renderToStream<P = any>(template: ComponentTemplate<P>, props?: P, options?: HTMLStreamOptions): ReadableStream<Uint8Array>
+	renderToNodeStream<P = any>(template: ComponentTemplate<P>, props?: P, options?: HTMLStreamOptions): Promise<HTMLNodeStream>
+}
 
 export const defaultRendererID: string
 
@@ -18,8 +18,11 @@
  * under the License.
  */
 
-import { isSignal, nextTick, peek, bind, watch } from 'refui/signal'
-import { createRenderer } from 'refui/renderer'
+import { isSignal, nextTick, peek, read, bind, watch, computed } from 'refui/signal'
+import { createRenderer, hydrationKeyAttr, hydrationAnchorPrefix, hydrationTextPrefix } from 'refui/renderer'
+import { createComponent, render, dispose, createContext, useContext, _trackAsync, _withContext } from 'refui/components'
+import { defaultStateID } from 'refui/transfer'
+import { styleAttr, _collectStyle, _toStyleProperty, _collectClasses, _collectStyles } from 'refui/css'
 import { nop, cachedStrKeyNoFalsy, removeFromArr } from 'refui/utils'
 import { isProduction } from 'refui/constants'
 import { markNode, isNode } from 'refui/reflow'
@@ -28,6 +31,14 @@ import { cached } from 'refui/utils'
 const FLAG_FRAG = Symbol(isProduction ? '' : 'F_Fragment')
 const FLAG_SELF_CLOSING = Symbol(isProduction ? '' : 'F_SelfClosing')
 const KEY_TAG_NAME = Symbol(isProduction ? '' : 'K_TagName')
+const FLAG_TEXT = Symbol(isProduction ? '' : 'F_Text')
+const FLAG_RAW_TEXT = Symbol(isProduction ? '' : 'F_RawText')
+
+// Comments are not parsed inside these, so text in them goes without a hydration marker
+const rawTextTags = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript', 'plaintext'])
+
+// Hydration keys of the render call in progress, so renders sharing a renderer don't share keys
+const HydrationKeys = createContext(null, 'HydrationKeys')
 
 const escapeMap = {
 	'<': '&lt;',
@@ -51,6 +62,53 @@ const escapeComment = cached(function(str) {
 	return str.replace(/<|>/g, commentReplacer)
 })
 
+function isPlain(val) {
+	return val === undefined || val === null || typeof val === 'string'
+}
+
+// `class:` props and every form of `class` are folded into one class attribute, as the browser preset applies them
+function getClass(props) {
+	const entries = []
+	for (let key in props) {
+		if (key.startsWith('class:')) entries.push([key.slice(6), props[key]])
+	}
+	const className = props.class
+	if (!entries.length && isPlain(className)) return className
+
+	return computed(function() {
+		const names = new Set()
+		_collectClasses(className, names)
+		for (let [name, val] of entries) {
+			if (read(val)) names.add(name)
+		}
+		return names.size ? [...names].join(' ') : null
+	})
+}
+
+// Same for `style:` props and `style`
+function getStyle(props) {
+	const entries = []
+	for (let key in props) {
+		if (key.startsWith('style:')) entries.push([_toStyleProperty(key.slice(6)), props[key]])
+	}
+	const style = props.style
+	if (!entries.length && isPlain(style)) return style
+
+	return computed(function() {
+		const styles = new Map()
+		let result = _collectStyles(style, styles) ?? ''
+		for (let [name, val] of entries) {
+			val = read(val)
+			if (val !== undefined && val !== null && val !== false) styles.set(name, val)
+		}
+		for (let [name, val] of styles) {
+			if (result && !result.trimEnd().endsWith(';')) result += ';'
+			result += `${name}:${val}`
+		}
+		return result || null
+	})
+}
+
 function makeNode(...node) {
 	node.parent = null
 	markNode(node)
@@ -71,10 +129,21 @@ function rawHTML(raw, ...exprs) {
 
 const defaultRendererID = 'HTML'
 
+const boundaryPrefix = 'rf:'
+
+// Moves the content of a streamed boundary into place, then removes itself
+const swapScript = `function $RF(i){var t=document.getElementById("rf-"+i),w=document.createTreeWalker(document,128),s=null,n;while(n=w.nextNode()){if(n.data==="${boundaryPrefix}"+i)s=n;else if(s&&n.data==="/${boundaryPrefix}"+i){while(s.nextSibling!==n)s.parentNode.removeChild(s.nextSibling);n.parentNode.insertBefore(t.content,n);break}}t.remove();document.currentScript&&document.currentScript.remove()}`
+
 function serialize(node) {
 	return node.flat(Infinity).join('')
 }
 
+function settle() {
+	return nextTick().then(function() {
+		return nextTick()
+	})
+}
+
 function createHTMLRenderer({
 	rendererID = defaultRendererID,
 	selfClosingTags = Object.fromEntries(
@@ -83,37 +152,61 @@ function createHTMLRenderer({
 				return [i, true]
 			}
 		)
-	)
+	),
+	hydratable = false
 } = {}) {
+	// Only used outside of render calls, for elements created and serialized by hand
+	let hydrationKey = 0
+
+	function resetHydrationKeys() {
+		hydrationKey = 0
+	}
+
+	function nextHydrationKey() {
+		const keys = useContext(HydrationKeys)
+		if (keys) return keys.next++
+		return hydrationKey++
+	}
+
 	function createNode(tagName) {
 		const node = makeNode(`<${tagName}`, [])
+		if (hydratable) {
+			node[1].push(` ${hydrationKeyAttr}="${nextHydrationKey()}"`)
+		}
 		if (selfClosingTags[tagName]) {
 			node.push('/>')
 			node[FLAG_SELF_CLOSING] = true
 			node[KEY_TAG_NAME] = tagName
 		} else {
 			node.push('>', [], `</${tagName}>`)
+			if (hydratable && rawTextTags.has(tagName)) node[3][FLAG_RAW_TEXT] = true
 		}
 		node.nodeName = tagName
 		return node
 	}
 	function createAnchor(anchorName, explicit) {
+		if (hydratable) {
+			return makeNode(`<!--${hydrationAnchorPrefix}${nextHydrationKey()}-->`)
+		}
 		if (explicit || (!isProduction && anchorName)) {
 			return makeNode(`<!${escapeHtml(escapeComment(anchorName))}>`)
 		}
 		return makeNode()
 	}
+	// [marker, text], the marker keeps adjacent text nodes apart so each one can be claimed
 	function createTextNode(text) {
+		const node = makeNode(hydratable ? `<!--${hydrationTextPrefix}${nextHydrationKey()}-->` : '', '')
+		node[FLAG_TEXT] = true
 		if (isSignal(text)) {
-			const node = makeNode('')
 			text.connect(function () {
 				const newData = peek(text) ?? ''
-				node[0] = escapeHtml(String(newData))
+				node[1] = escapeHtml(String(newData))
 			})
 			return node
 		}
 
-		return makeNode(escapeHtml(String(text ?? '')))
+		node[1] = escapeHtml(String(text ?? ''))
+		return node
 	}
 	function createFragment() {
 		const frag = makeNode()
@@ -130,6 +223,11 @@ function createHTMLRenderer({
 		}
 	}
 
+	function setParent(node, parent) {
+		node.parent = parent
+		if (parent[FLAG_RAW_TEXT] && node[FLAG_TEXT]) node[0] = ''
+	}
+
 	function removeNode(node) {
 		if (!node.parent) return
 		removeFromArr(node.parent, node)
@@ -147,13 +245,13 @@ function createHTMLRenderer({
 			if (node[FLAG_FRAG]) {
 				const fragChildCount = node.length
 				for (let j = 0; j < fragChildCount; j++) {
-					node[j].parent = _parent
+					setParent(node[j], _parent)
 				}
 				_parent.push(...node)
 				node.length = 0
 			} else {
 				_parent.push(node)
-				node.parent = _parent
+				setParent(node, _parent)
 			}
 		}
 	}
@@ -168,13 +266,13 @@ function createHTMLRenderer({
 			if (node[FLAG_FRAG]) {
 				const fragChildCount = node.length
 				for (let i = 0; i < fragChildCount; i++) {
-					node[i].parent = parent
+					setParent(node[i], parent)
 				}
 				parent.splice(index, 0, ...node)
 				node.length = 0
 			} else {
 				parent.splice(index, 0, node)
-				node.parent = parent
+				setParent(node, parent)
 			}
 		} else {
 			throw new ReferenceError('InsertBefore: Ref not in parent!')
@@ -184,6 +282,7 @@ function createHTMLRenderer({
 	const getPropSetter = cachedStrKeyNoFalsy(function (key) {
 		const [prefix, _key] = key.split(':')
 		if (_key) {
+			if (prefix.startsWith('on-')) return nop
 			switch (prefix) {
 				case 'on': {
 					return nop
@@ -192,6 +291,18 @@ function createHTMLRenderer({
 					key = _key
 					break
 				}
+				// Rules are collected for `serializeStyles`
+				case 'css': {
+					return function(propsNode, rule) {
+						if (rule) _collectStyle(rule)
+					}
+				}
+				// Two-way bindings only have an initial state to render
+				case 'bind': {
+					if (_key !== 'value' && _key !== 'checked') return nop
+					key = _key
+					break
+				}
 				default: {
 					// do nothing
 				}
@@ -227,9 +338,217 @@ function createHTMLRenderer({
 	function setProps(node, props) {
 		if (node[FLAG_FRAG]) return
 		const propsNode = node[1]
+		let classed = false
+		let styled = false
 		for (let key in props) {
-			getPropSetter(key)(propsNode, props[key])
+			if (key === 'class' || key.startsWith('class:')) {
+				if (classed) continue
+				classed = true
+				getPropSetter('class')(propsNode, getClass(props))
+			} else if (key === 'style' || key.startsWith('style:')) {
+				if (styled) continue
+				styled = true
+				getPropSetter('style')(propsNode, getStyle(props))
+			} else {
+				getPropSetter(key)(propsNode, props[key])
+			}
+		}
+	}
+
+	function renderToStream(component, props, { nonce } = {}) {
+		const scriptOpen = nonce ? `<script nonce="${escapeHtml(nonce)}">` : '<script>'
+		const encoder = new TextEncoder()
+		const boundaries = []
+		const pending = new Set()
+
+		let nextBoundaryID = 0
+		let controller = null
+		let instance = null
+		let shellSent = false
+		let swapScriptSent = false
+		let closed = false
+
+		function close() {
+			if (closed) return
+			closed = true
+			if (instance) dispose(instance)
+			controller.close()
+		}
+
+		function markFlushed(html) {
+			const boundaryCount = boundaries.length
+			for (let i = 0; i < boundaryCount; i++) {
+				const boundary = boundaries[i]
+				if (!boundary.flushed && html.includes(boundary.start[0])) {
+					boundary.flushed = true
+				}
+			}
+		}
+
+		function flushBoundary(boundary) {
+			// Boundaries not yet sent are included in their parent once it flushes
+			if (closed || !boundary.flushed) return
+			const { id, start, end } = boundary
+			const parent = start.parent
+			if (!parent) return
+			const startIdx = parent.indexOf(start)
+			const endIdx = parent.indexOf(end)
+			if (startIdx < 0 || endIdx < startIdx) return
+
+			const html = serialize(parent.slice(startIdx + 1, endIdx))
+			markFlushed(html)
+
+			let chunk = `<template id="rf-${id}">${html}</template>${scriptOpen}`
+			if (!swapScriptSent) {
+				chunk += swapScript
+				swapScriptSent = true
+			}
+			controller.enqueue(encoder.encode(`${chunk}$RF(${id})</script>`))
 		}
+
+		function tracker(renderFn, future, name) {
+			const id = nextBoundaryID++
+			const boundary = {
+				id,
+				name,
+				start: makeNode(`<!--${boundaryPrefix}${id}-->`),
+				end: makeNode(`<!--/${boundaryPrefix}${id}-->`),
+				flushed: false
+			}
+			boundaries.push(boundary)
+
+			const done = future.then(nop, nop).then(settle)
+			pending.add(done)
+			done.then(function() {
+				pending.delete(done)
+				flushBoundary(boundary)
+				if (shellSent && !pending.size) close()
+			})
+
+			return function(R) {
+				const fragment = R.createFragment(null)
+				R.appendNode(fragment, boundary.start, R.ensureElement(renderFn), boundary.end)
+				return fragment
+			}
+		}
+
+		return new ReadableStream({
+			async start(_controller) {
+				controller = _controller
+				let node = null
+				_trackAsync(tracker, function() {
+					_withContext(HydrationKeys, { next: 0 }, function() {
+						instance = createComponent(component, props)
+						node = render(instance, renderer)
+					})
+				})
+
+				// Let fallbacks show up before sending the shell
+				await settle()
+				if (closed) return
+
+				const shell = node ? serialize(node) : ''
+				markFlushed(shell)
+				shellSent = true
+				controller.enqueue(encoder.encode(shell))
+
+				if (!pending.size) close()
+			},
+			cancel() {
+				closed = true
+				if (instance) dispose(instance)
+			}
+		})
+	}
+
+	async function renderToString(component, props, { timeout, onTimeout } = {}) {
+		const boundaries = []
+
+		function tracker(renderFn, future, name) {
+			const boundary = {
+				name,
+				settled: false,
+				done: null
+			}
+			boundary.done = future.then(nop, nop).then(function() {
+				boundary.settled = true
+			})
+			boundaries.push(boundary)
+		}
+
+		function isUnsettled(boundary) {
+			return !boundary.settled
+		}
+		function getDone(boundary) {
+			return boundary.done
+		}
+
+		let timedOut = false
+		let timer = null
+		const timeoutReached = timeout > 0 && new Promise(function(resolve) {
+			timer = setTimeout(function() {
+				timedOut = true
+				resolve()
+			}, timeout)
+		})
+
+		let instance = null
+		let node = null
+		_trackAsync(tracker, function() {
+			_withContext(HydrationKeys, { next: 0 }, function() {
+				instance = createComponent(component, props)
+				node = render(instance, renderer)
+			})
+		})
+
+		try {
+			for (;;) {
+				await settle()
+				const unsettled = boundaries.filter(isUnsettled)
+				if (!unsettled.length || timedOut) break
+				const allDone = Promise.all(unsettled.map(getDone))
+				await Promise.race(timeoutReached ? [allDone, timeoutReached] : [allDone])
+			}
+
+			if (timedOut) {
+				const unresolved = boundaries.filter(isUnsettled).map(function(boundary) {
+					return boundary.name
+				})
+				if (unresolved.length) {
+					if (onTimeout) {
+						onTimeout(unresolved)
+					} else {
+						console.warn(`[rEFui] renderToString timed out after ${timeout}ms, ${unresolved.length} boundaries were unresolved: ${unresolved.join(', ')}`)
+					}
+				}
+			}
+
+			return node ? serialize(node) : ''
+		} finally {
+			clearTimeout(timer)
+			dispose(instance)
+		}
+	}
+
+	function serializeState(state, { id = defaultStateID, nonce } = {}) {
+		const nonceAttr = nonce ? ` nonce="${escapeHtml(nonce)}"` : ''
+		return `<script type="application/json" id="${escapeHtml(id)}"${nonceAttr}>${state.serialize()}</script>`
+	}
+
+	function serializeStyles(styles, { nonce } = {}) {
+		const nonceAttr = nonce ? ` nonce="${escapeHtml(nonce)}"` : ''
+		return `<style ${styleAttr}="${escapeHtml(styles.ids().join(' '))}"${nonceAttr}>${styles.serialize()}</style>`
+	}
+
+	async function renderToNodeStream(...args) {
+		// Loaded on demand and left alone by bundlers, so builds for other platforms don't pull it in
+		const { Readable } = await import(
+
+			/* webpackIgnore: true */
+			/* @vite-ignore */
+			'node:stream'
+		)
+		return Readable.fromWeb(renderToStream(...args))
 	}
 
 	const nodeOps = {
@@ -243,10 +562,19 @@ function createHTMLRenderer({
 		appendNode,
 		removeNode,
 		rawHTML,
-		serialize
+		serialize,
+		serializeState,
+		serializeStyles,
+		resetHydrationKeys
 	}
 
-	return createRenderer(nodeOps, rendererID)
+	const renderer = createRenderer(nodeOps, rendererID)
+
+	renderer.renderToString = renderToString
+	renderer.renderToStream = renderToStream
+	renderer.renderToNodeStream = renderToNodeStream
+
+	return renderer
 }
 
 export { createHTMLRenderer, defaultRendererID }
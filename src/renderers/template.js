@@ -0,0 +1,312 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { isSignal, tpl } from 'refui/signal'
+import { R } from 'refui/reflow'
+import { isProduction } from 'refui/constants'
+
+// Stands in for interpolations while parsing, the n-th one is `values[n]`
+const HOLE = '\u0000'
+
+// How interpolations are shown in error messages
+const holeText = `\${...}`
+
+// Enough for the characters that need escaping in markup, numeric references cover the rest
+const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' }
+
+const voidTags = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'])
+
+const templates = new WeakMap()
+
+/*
+Parsed tree, numbers are interpolation indexes:
+- element: { tag: string | number, props: [name, value][] | null, children: [] }
+- prop value: true, a string, a number, or [string, number, string, ...] for mixed text
+- spread: [null, number]
+- child: a string, a number or an element
+*/
+
+function parseError(message) {
+	return new SyntaxError(`[rEFui] html: ${message}`)
+}
+
+function isSpace(char) {
+	return char === ' ' || char === '\t' || char === '\n' || char === '\r' || char === '\f'
+}
+
+// Whitespace around line breaks is indentation, as in JSX
+function trimText(text) {
+	return text.replace(/^\s*\n\s*|\s*\n\s*$/g, '').replace(/\s*\n\s*/g, ' ')
+}
+
+function tagName(tag) {
+	return typeof tag === 'number' ? holeText : tag || ''
+}
+
+function entityReplacer(match, entity) {
+	if (entity[0] !== '#') return namedEntities[entity] ?? match
+	const hex = entity[1] === 'x' || entity[1] === 'X'
+	const code = parseInt(entity.slice(hex ? 2 : 1), hex ? 16 : 10)
+	return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match
+}
+
+// Only static text is decoded, interpolated values are used as they are
+function decodeEntities(text) {
+	if (!text.includes('&')) return text
+	return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, entityReplacer)
+}
+
+function parse(strings) {
+	const src = strings.join(HOLE)
+	const length = src.length
+	const root = { tag: null, props: null, children: [] }
+	const stack = [root]
+
+	let pos = 0
+	let hole = 0
+
+	// Splits static text around interpolations, returns the parts
+	function splitHoles(text) {
+		const parts = []
+		const segments = text.split(HOLE)
+		const segmentCount = segments.length
+		for (let i = 0; i < segmentCount; i++) {
+			if (i) parts.push(hole++)
+			parts.push(segments[i])
+		}
+		return parts
+	}
+
+	// A `<` followed by a space or `=` is text
+	function isTagStart(at) {
+		const next = src[at + 1]
+		return src[at] === '<' && !!next && !isSpace(next) && next !== '='
+	}
+
+	function skipSpaces() {
+		while (pos < length && isSpace(src[pos])) pos++
+	}
+
+	function readUntil(test) {
+		const start = pos
+		while (pos < length && !test(src[pos])) pos++
+		return src.slice(start, pos)
+	}
+
+	function readValue() {
+		const quote = src[pos]
+		let text = null
+		if (quote === '"' || quote === "'") {
+			const end = src.indexOf(quote, pos + 1)
+			if (end < 0) throw parseError('unterminated attribute value')
+			text = src.slice(pos + 1, end)
+			pos = end + 1
+		} else {
+			text = readUntil(function(char) {
+				return isSpace(char) || char === '>' || (char === '/' && src[pos + 1] === '>')
+			})
+		}
+
+		const parts = splitHoles(text)
+		// A single interpolation keeps its value, signals included
+		if (parts.length === 3 && !parts[0] && !parts[2]) return parts[1]
+		const partCount = parts.length
+		for (let i = 0; i < partCount; i += 2) parts[i] = decodeEntities(parts[i])
+		if (partCount === 1) return parts[0]
+		return parts
+	}
+
+	function readTag() {
+		pos += 1
+		const element = { tag: '', props: null, children: [] }
+
+		if (src[pos] === HOLE) {
+			element.tag = hole++
+			pos += 1
+		} else {
+			element.tag = readUntil(function(char) {
+				return isSpace(char) || char === '>' || char === '/'
+			})
+		}
+
+		for (;;) {
+			skipSpaces()
+			if (pos >= length) throw parseError(`unterminated tag <${tagName(element.tag)}>`)
+
+			const char = src[pos]
+			if (char === '>') {
+				pos += 1
+				return [element, false]
+			}
+			if (char === '/' && src[pos + 1] === '>') {
+				pos += 2
+				return [element, true]
+			}
+
+			if (!element.props) element.props = []
+
+			if (src.startsWith(`...${HOLE}`, pos)) {
+				element.props.push([null, hole++])
+				pos += 4
+				continue
+			}
+
+			const name = readUntil(function(char) {
+				return isSpace(char) || char === '=' || char === '>' || char === '/'
+			})
+			if (!name || name.includes(HOLE)) throw parseError(`invalid attribute name in <${tagName(element.tag)}>`)
+
+			if (src[pos] === '=') {
+				pos += 1
+				element.props.push([name, readValue()])
+			} else {
+				element.props.push([name, true])
+			}
+		}
+	}
+
+	function readClosingTag() {
+		const end = src.indexOf('>', pos)
+		if (end < 0) throw parseError('unterminated closing tag')
+		const name = src.slice(pos + 2, end).trim()
+		pos = end + 1
+
+		const element = stack.pop()
+		if (stack.length === 0) throw parseError(`unexpected closing tag </${name.replace(HOLE, holeText)}>`)
+
+		// </${Component}> and <//> close whatever is open
+		if (name === HOLE) {
+			hole++
+			return
+		}
+		if (name === '/') return
+		if (name !== (typeof element.tag === 'number' ? null : element.tag)) {
+			throw parseError(`expected </${tagName(element.tag)}>, got </${name}>`)
+		}
+	}
+
+	function readText() {
+		const text = readUntil(function() {
+			return isTagStart(pos)
+		})
+		const parts = splitHoles(text)
+		const children = stack[stack.length - 1].children
+		for (let part of parts) {
+			if (typeof part === 'number') children.push(part)
+			else {
+				part = trimText(part)
+				if (part) children.push(decodeEntities(part))
+			}
+		}
+	}
+
+	while (pos < length) {
+		if (src.startsWith('<!--', pos)) {
+			const end = src.indexOf('-->', pos + 4)
+			if (end < 0) throw parseError('unterminated comment')
+			// Interpolations inside comments are skipped
+			hole += src.slice(pos, end).split(HOLE).length - 1
+			pos = end + 3
+		} else if (isTagStart(pos) && src[pos + 1] === '/') {
+			readClosingTag()
+		} else if (isTagStart(pos)) {
+			const [element, selfClosing] = readTag()
+			stack[stack.length - 1].children.push(element)
+			if (!selfClosing && !voidTags.has(element.tag)) stack.push(element)
+		} else {
+			readText()
+		}
+	}
+
+	if (stack.length > 1) throw parseError(`unclosed tag <${tagName(stack[stack.length - 1].tag)}>`)
+
+	return root.children
+}
+
+function getTemplate(strings) {
+	let template = templates.get(strings)
+	if (!template) {
+		template = parse(strings)
+		templates.set(strings, template)
+	}
+	return template
+}
+
+function mixValue(parts, values) {
+	const raw = []
+	const exprs = []
+	let reactive = false
+	const partCount = parts.length
+	for (let i = 0; i < partCount; i++) {
+		if (i % 2) {
+			const value = values[parts[i]]
+			if (isSignal(value)) reactive = true
+			exprs.push(value)
+		} else {
+			raw.push(parts[i])
+		}
+	}
+	if (reactive) return tpl(raw, ...exprs)
+	return String.raw({ raw }, ...exprs)
+}
+
+function instantiate(node, values) {
+	if (typeof node === 'string') return node
+	if (typeof node === 'number') return values[node]
+
+	const { tag, props: propList, children } = node
+
+	let props = null
+	if (propList) {
+		props = {}
+		for (let [name, value] of propList) {
+			if (name === null) Object.assign(props, values[value])
+			else if (typeof value === 'number') props[name] = values[value]
+			else if (Array.isArray(value)) props[name] = mixValue(value, values)
+			else props[name] = value
+		}
+	}
+
+	const childCount = children.length
+	const childNodes = new Array(childCount)
+	for (let i = 0; i < childCount; i++) childNodes[i] = instantiate(children[i], values)
+
+	const component = typeof tag === 'number' ? values[tag] : tag || R.f
+	if (!isProduction && (component === undefined || component === null)) {
+		throw new TypeError('[rEFui] html: interpolated tag is empty')
+	}
+
+	return R.c(component, props, ...childNodes)
+}
+
+/*
+Templates are parsed once per call site, then every call builds `R.c` calls from the cached tree.
+Several root nodes are returned as a fragment.
+*/
+function html(strings, ...values) {
+	if (!Array.isArray(strings)) strings = [strings]
+	const template = getTemplate(strings)
+	if (template.length === 1) return instantiate(template[0], values)
+	return R.c(R.f, null, ...template.map(function(node) {
+		return instantiate(node, values)
+	}))
+}
+
+export { html }
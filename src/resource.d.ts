@@ -0,0 +1,59 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import type { MaybeSignal, Signal } from './signal.js'
+
+export interface ResourceFetcherInfo<T> {
+	/** Current value of the resource, if any */
+	value: T | undefined
+	/** True when started by `refetch()` */
+	refetching: boolean
+	/** Aborted once no resource waits for the request anymore */
+	signal?: AbortSignal
+}
+
+export type ResourceFetcher<T, S> = (source: S, info: ResourceFetcherInfo<T>) => T | PromiseLike<T>
+
+export type ResourceSource<S> = MaybeSignal<S | null | undefined | false> | (() => S | null | undefined | false)
+
+export interface ResourceOptions<T, S> {
+	/** Maps a source value to its cache key, defaults to the source value itself */
+	key?: (source: S) => unknown
+	/** Milliseconds a cached value is used without revalidating, defaults to 0 */
+	staleTime?: number
+	/** Shared between resources to dedupe requests and reuse values */
+	cache?: Map<unknown, unknown>
+	initialValue?: T
+}
+
+export interface Resource<T> {
+	data: Signal<T | undefined>
+	loading: Signal<boolean>
+	error: Signal<unknown>
+	refetch(): Promise<T | undefined>
+	mutate(value: T | ((previous: T | undefined) => T)): T
+}
+
+export function createResource<T>(fetcher: ResourceFetcher<T, true>, options?: ResourceOptions<T, true>): Resource<T>
+export function createResource<T, S>(
+	source: ResourceSource<S>,
+	fetcher: ResourceFetcher<T, S>,
+	options?: ResourceOptions<T, S>
+): Resource<T>
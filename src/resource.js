@@ -0,0 +1,226 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { signal, isSignal, read, write, watch, untrack, onDispose } from 'refui/signal'
+import { _suspend } from 'refui/components'
+import { nop, now } from 'refui/utils'
+
+function identity(value) {
+	return value
+}
+
+function createController() {
+	return typeof AbortController === 'function' ? new AbortController() : null
+}
+
+// Entries are shared by every resource using the same cache, which dedupes their requests
+function getEntry(cache, cacheKey) {
+	let entry = cache.get(cacheKey)
+	if (!entry) {
+		entry = {
+			key: cacheKey,
+			value: undefined,
+			hasValue: false,
+			time: 0,
+			request: null
+		}
+		cache.set(cacheKey, entry)
+	}
+	return entry
+}
+
+function startRequest(entry, fetcher, sourceValue, info) {
+	const controller = createController()
+	const request = {
+		controller,
+		users: 0,
+		promise: null
+	}
+
+	request.promise = new Promise(function(resolve) {
+		resolve(fetcher(sourceValue, { ...info, signal: controller?.signal }))
+	}).then(
+		function(value) {
+			if (entry.request === request) {
+				entry.request = null
+				entry.value = value
+				entry.hasValue = true
+				entry.time = now()
+			}
+			return value
+		},
+		function(error) {
+			if (entry.request === request) {
+				entry.request = null
+			}
+			throw error
+		}
+	)
+
+	entry.request = request
+	return request
+}
+
+function createResource(source, fetcher, options) {
+	if (typeof fetcher !== 'function') {
+		options = fetcher
+		fetcher = source
+		source = true
+	}
+
+	const { key = identity, staleTime = 0, cache = new Map(), initialValue } = options ?? {}
+
+	const data = signal(initialValue)
+	const error = signal(null)
+	const loading = signal(false)
+
+	let currentEntry = null
+	let currentRequest = null
+	let currentSource = null
+	let disposed = false
+
+	// Aborts the request once no resource waits for it anymore
+	function release() {
+		const request = currentRequest
+		const entry = currentEntry
+		currentRequest = null
+		currentEntry = null
+		if (!request || entry.request !== request) {
+			return
+		}
+		request.users -= 1
+		if (!request.users) {
+			entry.request = null
+			request.controller?.abort()
+			if (!entry.hasValue && cache.get(entry.key) === entry) {
+				cache.delete(entry.key)
+			}
+		}
+	}
+
+	function load(sourceValue, force) {
+		const entry = getEntry(cache, key(sourceValue))
+		if (entry !== currentEntry) {
+			release()
+			currentEntry = entry
+		}
+
+		// Stale while revalidate: cached values show up right away
+		if (entry.hasValue) {
+			data.set(entry.value)
+			error.set(null)
+			if (!force && now() - entry.time < staleTime) {
+				loading.set(false)
+				return Promise.resolve(entry.value)
+			}
+		}
+
+		const request = entry.request ?? startRequest(entry, fetcher, sourceValue, {
+			value: data.peek(),
+			refetching: force
+		})
+		if (request !== currentRequest) {
+			request.users += 1
+			currentRequest = request
+		}
+
+		loading.set(true)
+
+		return request.promise.then(
+			function(value) {
+				if (!disposed && currentEntry === entry) {
+					currentRequest = null
+					data.set(value)
+					error.set(null)
+					loading.set(false)
+				}
+				return value
+			},
+			function(err) {
+				if (!disposed && currentEntry === entry && currentRequest === request && !request.controller?.signal.aborted) {
+					currentRequest = null
+					error.set(err)
+					loading.set(false)
+				}
+				throw err
+			}
+		)
+	}
+
+	function readSource() {
+		if (typeof source === 'function' && !isSignal(source)) {
+			return source()
+		}
+		return read(source)
+	}
+
+	watch(function() {
+		const sourceValue = readSource()
+		currentSource = sourceValue
+		// Nullish or false sources pause the resource
+		if (sourceValue === null || sourceValue === undefined || sourceValue === false) {
+			untrack(release)
+			loading.set(false)
+			return
+		}
+
+		const hadValue = currentEntry?.hasValue || data.peek() !== undefined
+		const future = untrack(load, sourceValue, false)
+		future.catch(nop)
+		if (!hadValue && loading.peek()) {
+			_suspend(future)
+		}
+	})
+
+	onDispose(function() {
+		disposed = true
+		release()
+	})
+
+	function refetch() {
+		const sourceValue = currentSource
+		if (sourceValue === null || sourceValue === undefined || sourceValue === false) {
+			return Promise.resolve(data.peek())
+		}
+		return load(sourceValue, true)
+	}
+
+	// Local, optimistic update, also seen by other resources sharing the cache
+	function mutate(value) {
+		const newValue = write(data, value)
+		error.set(null)
+		if (currentEntry) {
+			currentEntry.value = newValue
+			currentEntry.hasValue = true
+			currentEntry.time = now()
+		}
+		return newValue
+	}
+
+	return {
+		data,
+		loading,
+		error,
+		refetch,
+		mutate
+	}
+}
+
+export { createResource }
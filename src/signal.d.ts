@@ -23,6 +23,11 @@ export type EffectCallback = () => void
 
 export type MaybeSignal<T> = T | Signal<T>
 
+export interface DebugOptions {
+	/** Shown in effect error messages and devtools */
+	name?: string
+}
+
 export interface Signal<T> {
 	value: T
 	readonly connected: boolean
@@ -61,7 +66,8 @@ export interface Signal<T> {
 }
 
 export interface SignalConstructor {
-	new <T>(value: T, compute?: (value: T) => T): Signal<T>
+	new <T>(value: T, compute?: (value: T) => T, options?: DebugOptions): Signal<T>
+	new <T>(value: T, options?: DebugOptions): Signal<T>
 	readonly prototype: Signal<unknown>
 	ensure<T>(value: MaybeSignal<T>): Signal<T>
 	ensureAll<T extends readonly unknown[]>(...values: T): Signal<unknown>[]
@@ -70,9 +76,9 @@ export interface SignalConstructor {
 export const Signal: SignalConstructor
 
 export interface SignalFactory {
-	<T>(value: T): Signal<T>
-	<T>(value: MaybeSignal<T>): Signal<T>
-	<T, R>(value: MaybeSignal<T>, compute: (value: T) => R): Signal<R>
+	<T>(value: T, options?: DebugOptions): Signal<T>
+	<T>(value: MaybeSignal<T>, options?: DebugOptions): Signal<T>
+	<T, R>(value: MaybeSignal<T>, compute: (value: T) => R, options?: DebugOptions): Signal<R>
 	ensure<T>(value: MaybeSignal<T>): Signal<T>
 	ensureAll<T extends readonly unknown[]>(...values: T): Signal<unknown>[]
 }
@@ -81,9 +87,20 @@ export const signal: SignalFactory
 
 export function isSignal(value: unknown): value is Signal<unknown>
 
-export function watch(effect: EffectCallback): BatchDisposer
+export type EffectPriority = 'user-blocking' | 'normal' | 'idle'
+
+export interface EffectOptions {
+	/** Shown in effect error messages and devtools, defaults to the name of the effect function */
+	name?: string
+	/** Lane the effect re-runs in, defaults to 'normal' */
+	priority?: EffectPriority
+}
+
+export interface WatchOptions extends DebugOptions, EffectOptions {}
 
-export function computed<T>(compute: () => T): Signal<T>
+export function watch(effect: EffectCallback, options?: WatchOptions): BatchDisposer
+
+export function computed<T>(compute: () => T, options?: DebugOptions): Signal<T>
 export function merge<T extends readonly MaybeSignal<any>[], R>(signals: T, handler: (...values: { [K in keyof T]: T[K] extends Signal<infer U> ? U : T[K] }) => R): Signal<R>
 export function tpl(strings: TemplateStringsArray, ...exprs: unknown[]): Signal<string>
 export function tpl(strings: readonly string[], ...exprs: unknown[]): Signal<string>
@@ -107,6 +124,15 @@ export function createSchedule<T = unknown>(
 		| ((commit: (value: MaybeSignal<T>) => void) => BatchDisposer | void)
 ) => Signal<T | undefined>
 
+export interface AsyncComputed<T> {
+	/** Last committed result, kept while a newer one is pending */
+	value: Signal<T | undefined>
+	pending: Signal<boolean>
+	error: Signal<unknown>
+}
+
+export function asyncComputed<T>(fn: (signal?: AbortSignal) => T | PromiseLike<T>, options?: WatchOptions): AsyncComputed<T>
+
 export function connect(signals: Iterable<Signal<unknown>>, effect: EffectCallback, runImmediate?: boolean): void
 export function bind(handler: (value: unknown) => void, value: MaybeSignal<unknown> | (() => unknown)): void
 export function useAction<T>(
@@ -136,16 +162,66 @@ export function listen(signals: Iterable<MaybeSignal<unknown>>, callback: Effect
 export function schedule(effects: Iterable<EffectCallback>): number
 export function tick(): Promise<void>
 export function nextTick(callback?: (...args: unknown[]) => void, ...args: unknown[]): Promise<void>
+export function batch<T>(fn: () => T): T
+export function transaction<T>(fn: () => T): T
+export function flushSync(): void
+export function flushSync<T>(fn: () => T): T
 
 export function collectDisposers(disposers: BatchDisposer[], fn: () => void, cleanup?: BatchDisposer): BatchDisposer
 export function onDispose(callback: BatchDisposer): BatchDisposer
 export function useEffect<TArgs extends unknown[]>(effect: (...args: TArgs) => void | BatchDisposer, ...args: TArgs): () => void
+export namespace useEffect {
+	function withOptions<TArgs extends unknown[]>(
+		options: EffectOptions,
+		effect: (...args: TArgs) => void | BatchDisposer,
+		...args: TArgs
+	): () => void
+}
 
 export function untrack<T, U extends unknown[]>(fn: (...args: U) => T, ...args: U): T
 export function freeze<T extends (...args: any[]) => any>(fn: T): T
 
 export const contextValid: boolean
 
+export interface InfiniteLoopEntry {
+	name: string
+	count: number
+}
+
+export interface InfiniteLoopReport {
+	iterations: number
+	/** Signals that re-triggered most often, at most 5 */
+	signals: InfiniteLoopEntry[]
+	/** Effects that re-ran most often, at most 5 */
+	effects: InfiniteLoopEntry[]
+	message: string
+}
+
+export type HostScheduler = (flush: () => void) => void
+
+export interface SchedulerOptions {
+	/** When pending updates are flushed, defaults to 'microtask' */
+	scheduler?: 'microtask' | 'sync' | HostScheduler
+	/** Times one signal or effect may re-trigger in a flush before updates are considered a loop, defaults to 100 */
+	maxIterations?: number
+	/** Called instead of throwing when a loop is detected */
+	onInfiniteLoop?: ((report: InfiniteLoopReport) => void) | null
+	/** Loop detection is always on in development, and off in production unless enabled here */
+	detectInProduction?: boolean
+}
+
+export function configureScheduler(options: SchedulerOptions): void
+
+/** @internal */
+export function _withErrorHandler<T>(handler: (error: unknown) => void, fn: () => T): T
+/** @internal */
+export function _getErrorHandler(): ((error: unknown) => void) | null
+/** @internal */
+export function _guard<T extends (...args: any[]) => any>(fn: T, handler?: ((error: unknown) => void) | null): T
+
+/** @internal */
+export function _debugName(target: Signal<any> | EffectCallback): string | null
+
 export function onCondition<T>(signal: MaybeSignal<T>, compute?: (value: boolean) => boolean): (match: MaybeSignal<T>) => Signal<boolean>
 
 export type Disposer = BatchDisposer
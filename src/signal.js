@@ -18,7 +18,7 @@
  * under the License.
  */
 
-import { removeFromArr } from 'refui/utils'
+import { removeFromArr, isThenable, getDevtoolsHook, now, functionName } from 'refui/utils'
 import { isProduction } from 'refui/constants'
 
 let sigID = 0
@@ -29,9 +29,47 @@ let currentResolve = null
 let currentTick = null
 
 let contextValid = true
+let currentCatch = null
+
+// effect -> error handler active when the effect was created
+const errorHandlers = new WeakMap()
+
+// Development only: the signal whose effects are being flushed, and debug info of effects
+let currentSource = null
+const effectDebugInfo = isProduction ? null : new WeakMap()
+const effectOwners = isProduction ? null : new WeakMap()
+const storeOwners = isProduction ? null : new WeakMap()
 
 let signalQueue = []
 let effectQueue = []
+// Innermost batch: { signals, effects, values }, values being the previous values to roll back to
+let currentBatch = null
+let draining = 0
+let hostTick = null
+
+// effect -> 'user-blocking' | 'idle', normal effects are not recorded
+const effectLanes = new WeakMap()
+let lanesInUse = false
+let blockingInUse = false
+// effect -> [container, effectStore], run when the host is idle
+const idleQueue = new Map()
+let idleScheduled = false
+const idleSlice = 5
+
+const schedulerConfig = {
+	// 'microtask', 'sync', or a host function receiving the flush callback
+	scheduler: 'microtask',
+	maxIterations: 100,
+	onInfiniteLoop: null,
+	detectInProduction: false
+}
+let loopDetection = !isProduction
+// How many times each signal was triggered and each effect ran, since something outside the flush triggered it
+let loopRecord = null
+let loopDetected = false
+// Only updates caused by the flush itself count towards a loop, others start the record over
+let flushing = false
+let triggeredOutside = false
 
 // Scheduler part
 
@@ -39,17 +77,32 @@ function scheduleSignal(signalEffects) {
 	if (signalEffects.length <= 2) {
 		return
 	}
+	if (currentBatch) {
+		return currentBatch.signals.push(signalEffects)
+	}
+	noteTrigger()
 	return signalQueue.push(signalEffects)
 }
 function scheduleEffect(effects) {
 	if (effects.length <= 2) {
 		return
 	}
+	if (currentBatch) {
+		return currentBatch.effects.push(effects)
+	}
+	noteTrigger()
 	return effectQueue.push(effects)
 }
+function noteTrigger() {
+	if (!flushing) {
+		triggeredOutside = true
+	}
+}
 
 // effectStore: [id, delCount, ...effects]
-function flushRunQueue(queue) {
+function flushRunQueue(queue, laned) {
+	// Collects normal effects when lanes are in use, see `dispatchEffect`
+	const deferred = laned ? [] : null
 	const queueLength = queue.length
 	for (let i = 0; i < queueLength; i++) {
 		const effects = queue[i]
@@ -67,40 +120,277 @@ function flushRunQueue(queue) {
 	for (let i = 0; i < queueLength; i++) {
 		const effects = queue[i]
 		const effectEnd = effects.length
+		if (loopRecord) {
+			recordLoop(effects)
+		}
 		for (let j = 2; j < effectEnd; j++) {
 			const effect = effects[j][0]
 			if (effect) {
 				if (--effect.__refui_scheduled > 0) {
 					effect.__refui_pending = true
 				} else if (effect.__refui_scheduled === 0) {
-					effect.__refui_pending = false
-					effect()
+					dispatchEffect(effects[j], effects, deferred)
 				}
 			}
 		}
 	}
+
+	if (deferred?.length) {
+		const deferredLength = deferred.length
+		for (let i = 0; i < deferredLength; i += 2) {
+			// Blocking effects may have disposed it in the meantime
+			const effect = deferred[i][0]
+			if (effect) {
+				runQueuedEffect(effect, deferred[i + 1])
+			}
+		}
+	}
+}
+// Runs an effect that is due, or hands it to its lane
+// Normal effects wait in `deferred` until user blocking ones in the same pass have run
+function dispatchEffect(container, effects, deferred) {
+	const effect = container[0]
+	effect.__refui_pending = false
+	if (loopRecord) {
+		recordLoop(effect)
+	}
+	const lane = deferred ? effectLanes.get(effect) : undefined
+	if (lane === 'idle') {
+		scheduleIdle(container, effects)
+	} else if (deferred && blockingInUse && lane !== 'user-blocking') {
+		deferred.push(container, effects)
+	} else {
+		runQueuedEffect(effect, effects)
+	}
+}
+function runQueuedEffect(effect, effects) {
+	if (isProduction) {
+		runEffect(effect)
+	} else {
+		runEffectDev(effect, effects)
+	}
+}
+function runEffect(effect) {
+	try {
+		effect()
+	} catch (error) {
+		const handler = errorHandlers.get(effect)
+		if (!handler) {
+			throw error
+		}
+		handler(error)
+	}
+}
+function runEffectDev(effect, effects) {
+	const prevSource = currentSource
+	currentSource = storeOwners.get(effects) ?? null
+	try {
+		effect()
+	} catch (error) {
+		const handler = errorHandlers.get(effect)
+		if (!handler) {
+			describeEffectError(error, effect)
+			throw error
+		}
+		handler(error)
+	} finally {
+		currentSource = prevSource
+	}
+}
+function requestIdle(cb) {
+	if (typeof requestIdleCallback === 'function') {
+		requestIdleCallback(cb)
+		return
+	}
+	setTimeout(function() {
+		const start = now()
+		cb({
+			timeRemaining() {
+				return Math.max(0, idleSlice - (now() - start))
+			}
+		})
+	})
+}
+function flushIdle(deadline) {
+	idleScheduled = false
+	try {
+		for (let [effect, [container, effects]] of idleQueue) {
+			idleQueue.delete(effect)
+			if (container[0] === effect) {
+				runQueuedEffect(effect, effects)
+			}
+			if (deadline.timeRemaining() <= 0) {
+				break
+			}
+		}
+	} finally {
+		if (idleQueue.size && !idleScheduled) {
+			idleScheduled = true
+			requestIdle(flushIdle)
+		}
+	}
+}
+function scheduleIdle(container, effects) {
+	idleQueue.set(container[0], [container, effects])
+	if (!idleScheduled) {
+		idleScheduled = true
+		requestIdle(flushIdle)
+	}
+}
+function setPriority(effect, priority) {
+	if (priority !== 'user-blocking' && priority !== 'idle') {
+		if (!isProduction && priority !== undefined && priority !== 'normal') {
+			throw new TypeError(`Priority must be 'user-blocking', 'normal' or 'idle' but got ${String(priority)}`)
+		}
+		return
+	}
+	effectLanes.set(effect, priority)
+	lanesInUse = true
+	if (priority === 'user-blocking') {
+		blockingInUse = true
+	}
 }
 function sortQueue(a, b) {
 	return a[0] - b[0]
 }
-function flushQueues() {
+function recordLoop(target) {
+	const count = (loopRecord.get(target) ?? 0) + 1
+	loopRecord.set(target, count)
+	if (count > schedulerConfig.maxIterations) {
+		loopDetected = true
+	}
+}
+function describeLoopRecord() {
+	const signals = []
+	const effects = []
+	for (let [target, count] of loopRecord) {
+		if (Array.isArray(target)) {
+			const owner = storeOwners?.get(target)
+			signals.push({ name: owner ? describeSignal(owner) : `signal #${target[0]}`, count })
+		} else {
+			effects.push({ name: describeEffect(target), count })
+		}
+	}
+	const byCount = function(a, b) {
+		return b.count - a.count
+	}
+	return [signals.sort(byCount).slice(0, 5), effects.sort(byCount).slice(0, 5)]
+}
+function listLoopRecord(items) {
+	return items.map(function({ name, count }) {
+		return `${name} (x${count})`
+	}).join(', ') || 'none'
+}
+// A loop is a signal or an effect re-triggered more than `maxIterations` times before the flush ends
+function checkLoop() {
+	if (!loopRecord) {
+		loopRecord = new Map()
+		return false
+	}
+	if (!loopDetected) {
+		return false
+	}
+
+	const { maxIterations, onInfiniteLoop } = schedulerConfig
+	const [signals, effects] = describeLoopRecord()
+	const message = `[rEFui] Possible infinite loop: updates kept re-triggering the same signals or effects more than ${maxIterations} times. Pending updates have been dropped.\nSignals: ${listLoopRecord(signals)}\nEffects: ${listLoopRecord(effects)}`
+
+	// Break the loop before reporting, the handler may schedule updates again
+	signalQueue = []
+	effectQueue = []
+	resetLoopDetection()
+
+	if (onInfiniteLoop) {
+		onInfiniteLoop({ iterations: maxIterations, signals, effects, message })
+		return true
+	}
+	throw new Error(message)
+}
+function resetLoopDetection() {
+	loopRecord = null
+	loopDetected = false
+}
+function configureScheduler(options) {
+	const scheduler = options.scheduler
+	if (!isProduction && scheduler !== undefined && scheduler !== 'microtask' && scheduler !== 'sync' && typeof scheduler !== 'function') {
+		throw new TypeError(`Scheduler must be 'microtask', 'sync' or a function but got ${String(scheduler)}`)
+	}
+	Object.assign(schedulerConfig, options)
+	loopDetection = !isProduction || schedulerConfig.detectInProduction
+}
+
+function runQueues() {
 	if (signalQueue.length || effectQueue.length) {
-		while (signalQueue.length) {
-			const _ = signalQueue
-			signalQueue = []
-			if (_.length > 1) {
-				_.sort(sortQueue)
+		const hook = isProduction ? null : getDevtoolsHook()
+		const start = hook ? now() : 0
+		let signalCount = 0
+		let effectCount = 0
+
+		if (triggeredOutside) {
+			triggeredOutside = false
+			resetLoopDetection()
+		}
+		const prevFlushing = flushing
+		flushing = true
+		try {
+			while (signalQueue.length) {
+				if (loopDetection && checkLoop()) break
+				const _ = signalQueue
+				signalQueue = []
+				if (_.length > 1) {
+					_.sort(sortQueue)
+				}
+				signalCount += _.length
+				flushRunQueue(_)
+			}
+			while (effectQueue.length) {
+				if (loopDetection && checkLoop()) break
+				const _ = effectQueue
+				effectQueue = []
+				effectCount += _.length
+				flushRunQueue(_, lanesInUse)
 			}
-			flushRunQueue(_)
+		} finally {
+			flushing = prevFlushing
 		}
-		while (effectQueue.length) {
-			const _ = effectQueue
-			effectQueue = []
-			flushRunQueue(_)
+
+		if (hook) {
+			hook.emit('flush', { start, duration: now() - start, signals: signalCount, effects: effectCount })
 		}
 
+		return true
+	}
+
+	return false
+}
+function flushQueues() {
+	if (runQueues()) {
 		return Promise.resolve().then(flushQueues)
 	}
+
+	if (loopRecord) {
+		resetLoopDetection()
+	}
+}
+// Runs until no updates are left, including the ones scheduled by the flushed effects
+function drainQueues() {
+	draining += 1
+	try {
+		while (runQueues()) {
+			// Keep flushing
+		}
+	} finally {
+		draining -= 1
+	}
+
+	if (!draining && loopRecord) {
+		resetLoopDetection()
+	}
+}
+function flushSync(fn) {
+	const result = fn ? runBatch(fn) : undefined
+	drainQueues()
+	return result
 }
 
 
@@ -116,7 +406,51 @@ function _tick() {
 	currentResolve()
 	return currentTick
 }
+function tickHost(scheduler) {
+	if (hostTick) {
+		return hostTick
+	}
+
+	let resolve = null
+	const pendingTick = new Promise(function(_resolve) {
+		resolve = _resolve
+	})
+	// The host may flush right away, or throw, so only the tick it was given can be cleared
+	function finishTick() {
+		if (hostTick === pendingTick) {
+			hostTick = null
+		}
+		resolve()
+	}
+
+	hostTick = pendingTick
+	try {
+		scheduler(function() {
+			try {
+				drainQueues()
+			} finally {
+				finishTick()
+			}
+		})
+	} catch (error) {
+		finishTick()
+		throw error
+	}
+
+	return pendingTick
+}
 function tick() {
+	const { scheduler } = schedulerConfig
+	if (scheduler === 'sync') {
+		// Updates made while draining are picked up by the running drain
+		if (!draining) {
+			drainQueues()
+		}
+		return Promise.resolve()
+	}
+	if (typeof scheduler === 'function') {
+		return tickHost(scheduler)
+	}
 	if (!ticking) {
 		ticking = true
 		currentResolve()
@@ -131,6 +465,130 @@ function nextTick(cb, ...args) {
 	return tick().finally(cb)
 }
 
+function recordValue(sig, value) {
+	const values = currentBatch?.values
+	if (values && !values.has(sig)) {
+		values.set(sig, value)
+	}
+}
+function runBatch(fn, values) {
+	const prevBatch = currentBatch
+	const batch = {
+		signals: [],
+		effects: [],
+		values: values ?? prevBatch?.values ?? null
+	}
+	currentBatch = batch
+
+	let committed = false
+	try {
+		const result = fn()
+		committed = true
+		return result
+	} finally {
+		currentBatch = prevBatch
+		if (!committed && values) {
+			// Restore without notifying anyone, the updates never happened
+			for (let [sig, value] of values) sig._.value = value
+		} else if (prevBatch) {
+			prevBatch.signals.push(...batch.signals)
+			prevBatch.effects.push(...batch.effects)
+			if (values && prevBatch.values) {
+				for (let [sig, value] of values) recordValue(sig, value)
+			}
+		} else {
+			noteTrigger()
+			signalQueue.push(...batch.signals)
+			effectQueue.push(...batch.effects)
+			drainQueues()
+		}
+	}
+}
+function batch(fn) {
+	return runBatch(fn)
+}
+function transaction(fn) {
+	const result = runBatch(fn, new Map())
+	if (!isProduction && isThenable(result)) {
+		console.warn('[rEFui] transaction() only covers synchronous writes, changes made after an await cannot be rolled back.')
+	}
+	return result
+}
+
+// Debug part
+
+const maxTriggerChain = 10
+
+// Strip frames inside of this module from a captured creation stack
+function formatStack(error) {
+	const stack = error?.stack
+	if (!stack) {
+		return null
+	}
+	const selfURL = import.meta.url
+	const frames = stack.split('\n').filter(function(line) {
+		return line.trimStart().startsWith('at ') && !(selfURL && line.includes(selfURL))
+	})
+	return frames.length ? frames.join('\n') : null
+}
+
+function describeSignal(sig) {
+	const { id, name } = sig._
+	return name ? `signal "${name}"` : `signal #${id}`
+}
+
+function describeEffect(effect) {
+	const owner = effectOwners?.get(effect)
+	if (owner) {
+		return `the computation of ${describeSignal(owner)}`
+	}
+	const name = effectDebugInfo?.get(effect)?.name ?? functionName(effect)
+	return name ? `effect "${name}"` : 'an anonymous effect'
+}
+
+// Attached to the error itself, so it keeps its identity and whoever catches it gets the names
+function describeEffectError(error, effect) {
+	const chain = []
+	const visited = new Set()
+	let source = currentSource
+	while (source && !visited.has(source) && chain.length < maxTriggerChain) {
+		visited.add(source)
+		chain.push(describeSignal(source))
+		source = source._.cause
+	}
+
+	let message = `[rEFui] Error happened in ${describeEffect(effect)}`
+	if (chain.length) {
+		message += `, triggered by ${chain.join(' <- ')}`
+	}
+
+	const owner = effectOwners.get(effect)
+	const stack = formatStack(owner ? owner._.stack : effectDebugInfo.get(effect)?.stack)
+	if (stack) {
+		message += `\nCreated at:\n${stack}`
+	}
+
+	if (error !== null && typeof error === 'object' && Object.isExtensible(error)) {
+		// The innermost effect knows the most, outer ones rethrowing it don't replace it
+		if (!Object.hasOwn(error, 'refuiDetails')) {
+			Object.defineProperty(error, 'refuiDetails', { value: message, configurable: true, writable: true })
+		}
+	} else {
+		console.error(`${message}\n`, error)
+	}
+}
+
+// Internal, debug name of a signal or effect, always null in production
+function _debugName(target) {
+	if (isProduction) {
+		return null
+	}
+	if (isSignal(target)) {
+		return target._.name
+	}
+	return effectDebugInfo.get(target)?.name ?? null
+}
+
 // Signal part
 
 function pure(cb) {
@@ -201,18 +659,48 @@ function onDispose(cb) {
 		if (!isProduction && typeof cb !== 'function') {
 			throw new TypeError(`Callback must be a function but got ${Object.prototype.toString.call(cb)}`)
 		}
-		return _onDispose(cb)
+		return _onDispose(_guard(cb))
 	}
 	return cb
 }
 
-function useEffect(effect, ...args) {
+// Internal, runs `fn` with errors of effects and disposers created inside routed to `handler`
+function _withErrorHandler(handler, fn) {
+	const prevCatch = currentCatch
+	currentCatch = handler
+	try {
+		return fn()
+	} finally {
+		currentCatch = prevCatch
+	}
+}
+
+// Internal
+function _getErrorHandler() {
+	return currentCatch
+}
+
+// Internal, wraps `fn` so it reports to the current error handler instead of throwing
+function _guard(fn, handler = currentCatch) {
+	if (!handler) {
+		return fn
+	}
+	return function(...args) {
+		try {
+			return fn.apply(this, args)
+		} catch (error) {
+			handler(error)
+		}
+	}
+}
+
+function createEffect(options, effect, args) {
 	let cleanup = null
 	let cancelled = false
 	const _dispose = watch(function() {
 		cleanup?.()
 		cleanup = effect(...args)
-	})
+	}, isProduction ? options : { name: options?.name ?? functionName(effect), priority: options?.priority })
 	const cancelEffect = function() {
 		if (cancelled) {
 			return
@@ -224,23 +712,33 @@ function useEffect(effect, ...args) {
 	onDispose(cancelEffect)
 	return cancelEffect
 }
+function useEffect(effect, ...args) {
+	return createEffect(null, effect, args)
+}
+// Options can't trail the arguments, they would be indistinguishable from an argument
+useEffect.withOptions = function(options, effect, ...args) {
+	return createEffect(options, effect, args)
+}
 
 const _invalidatedState = {
 	disposers: null,
 	effect: null,
-	valid: false
+	valid: false,
+	catch: null
 }
 function _invalidateFrozenState() {
 	Object.assign(this, _invalidatedState)
 }
-function _frozen({ disposers, effect, valid }, ...args) {
+function _frozen({ disposers, effect, valid, catch: handler }, ...args) {
 	const prevDisposers = currentDisposers
 	const prevEffect = currentEffect
 	const prevContextValid = contextValid
+	const prevCatch = currentCatch
 
 	currentDisposers = disposers
 	currentEffect = effect
 	contextValid = valid
+	currentCatch = handler
 
 	try {
 		return this(...args)
@@ -248,6 +746,7 @@ function _frozen({ disposers, effect, valid }, ...args) {
 		currentDisposers = prevDisposers
 		currentEffect = prevEffect
 		contextValid = prevContextValid
+		currentCatch = prevCatch
 	}
 }
 function freeze(
@@ -255,7 +754,8 @@ function freeze(
 	state = {
 		disposers: currentDisposers,
 		effect: currentEffect,
-		valid: contextValid
+		valid: contextValid,
+		catch: currentCatch
 	}
 ) {
 	if (currentDisposers) {
@@ -314,11 +814,16 @@ function scheduleVacuum(effects) {
 }
 
 const Signal = class {
-	constructor(value, compute) {
+	constructor(value, compute, options) {
 		if (!isProduction && new.target !== Signal) {
 			throw new Error('Signal must not be extended!')
 		}
 
+		if (compute && typeof compute !== 'function') {
+			options = compute
+			compute = undefined
+		}
+
 		// effectStore: [id, delCount, ...effects]
 		// eslint-disable-next-line no-plusplus
 		const id = sigID++
@@ -332,7 +837,15 @@ const Signal = class {
 			compute,
 			disposeCtx,
 			userEffects,
-			signalEffects
+			signalEffects,
+			name: options?.name ?? null
+		}
+
+		if (!isProduction) {
+			internals.stack = new Error()
+			internals.cause = null
+			storeOwners.set(userEffects, this)
+			storeOwners.set(signalEffects, this)
 		}
 
 		Object.defineProperty(this, '_', {
@@ -342,10 +855,24 @@ const Signal = class {
 			configurable: false
 		})
 
+		const derived = compute || isSignal(value)
+		const update = derived ? pure(this.set.bind(this, value)) : null
+
+		if (update && currentCatch) {
+			errorHandlers.set(update, currentCatch)
+		}
+
+		if (!isProduction) {
+			if (update) {
+				effectOwners.set(update, this)
+			}
+			getDevtoolsHook()?.emit('signal:create', { signal: this, effect: update })
+		}
+
 		if (compute) {
-			watch(pure(this.set.bind(this, value)))
-		} else if (isSignal(value)) {
-			value.connect(pure(this.set.bind(this, value)))
+			watch(update)
+		} else if (derived) {
+			value.connect(update)
 		}
 	}
 
@@ -387,6 +914,7 @@ const Signal = class {
 		const newVal = read(val)
 		val = compute ? peek(compute(newVal)) : newVal
 		if (value !== val) {
+			recordValue(this, value)
 			this._.value = val
 			this.trigger()
 		}
@@ -397,11 +925,15 @@ const Signal = class {
 	}
 
 	poke(val) {
+		recordValue(this, this._.value)
 		this._.value = val
 	}
 
 	trigger() {
 		const { userEffects, signalEffects } = this._
+		if (!isProduction) {
+			this._.cause = currentSource
+		}
 		scheduleSignal(signalEffects)
 		scheduleEffect(userEffects)
 		tick()
@@ -412,6 +944,7 @@ const Signal = class {
 		if (compute) {
 			const val = peek(compute(value))
 			if (value !== val) {
+				recordValue(this, value)
 				this._.value = val
 				this.trigger()
 			}
@@ -427,8 +960,16 @@ const Signal = class {
 		if (contextValid) {
 			const container = [effect]
 			effects.push(container)
+			const hook = isProduction ? null : getDevtoolsHook()
+			const edge = hook ? { signal: this, effect } : null
+			if (hook) {
+				hook.emit('signal:connect', edge)
+			}
 			if (currentDisposers && currentDisposers !== disposeCtx) {
 				_onDispose(function() {
+					if (hook) {
+						hook.emit('signal:disconnect', edge)
+					}
 					container[0] = null
 					if (!--effect.__refui_scheduled && effect.__refui_pending) {
 						effect.__refui_pending = false
@@ -620,8 +1161,8 @@ const Signal = class {
 	}
 }
 
-function signal(value, compute) {
-	return new Signal(value, compute)
+function signal(value, compute, options) {
+	return new Signal(value, compute, options)
 }
 
 Object.defineProperties(signal, {
@@ -639,7 +1180,20 @@ function isSignal(val) {
 	return val && val.constructor === Signal
 }
 
-function watch(effect) {
+function watch(effect, options) {
+	if (!isProduction && !effectOwners.has(effect)) {
+		effectDebugInfo.set(effect, {
+			name: options?.name ?? functionName(effect),
+			stack: new Error()
+		})
+	}
+
+	if (currentCatch) {
+		errorHandlers.set(effect, currentCatch)
+	}
+
+	setPriority(effect, options?.priority)
+
 	const prevEffect = currentEffect
 	currentEffect = effect
 	const _dispose = collectDisposers([], effect)
@@ -710,8 +1264,8 @@ function listen(vals, cb) {
 	}
 }
 
-function computed(fn) {
-	return signal(null, fn)
+function computed(fn, options) {
+	return signal(null, fn, options ?? (isProduction ? undefined : { name: functionName(fn) }))
 }
 function _merged(vals) {
 	return this(...readAll(...vals))
@@ -874,6 +1428,69 @@ function createSchedule(deferrer, onAbort) {
 	return scheduled
 }
 
+function asyncComputed(fn, options) {
+	const value = signal(undefined)
+	const pending = signal(false)
+	const error = signal(null)
+
+	let version = 0
+	let controller = null
+
+	function abort() {
+		version += 1
+		if (controller) {
+			controller.abort()
+			controller = null
+		}
+	}
+
+	function commit(runVersion, newValue) {
+		if (runVersion !== version) return
+		controller = null
+		value.set(newValue)
+		error.set(null)
+		pending.set(false)
+	}
+
+	function fail(runVersion, err) {
+		if (runVersion !== version) return
+		controller = null
+		error.set(err)
+		pending.set(false)
+	}
+
+	// Only reads before the first `await` are tracked
+	watch(function() {
+		abort()
+		const runVersion = version
+		controller = typeof AbortController === 'function' ? new AbortController() : null
+
+		let result = null
+		try {
+			result = fn(controller?.signal)
+		} catch (err) {
+			fail(runVersion, err)
+			return
+		}
+
+		if (!isThenable(result)) {
+			commit(runVersion, result)
+			return
+		}
+
+		pending.set(true)
+		result.then(commit.bind(null, runVersion), fail.bind(null, runVersion))
+	}, isProduction ? options : { name: options?.name ?? functionName(fn), priority: options?.priority })
+
+	onDispose(abort)
+
+	return {
+		value,
+		pending,
+		error
+	}
+}
+
 function connect(sigs, effect, runImmediate = true) {
 	const sigCount = sigs.length
 	for (let i = 0; i < sigCount; i++) {
@@ -1096,6 +1713,7 @@ export {
 	createDefer,
 	createSchedule,
 	deferred,
+	asyncComputed,
 	connect,
 	bind,
 	useAction,
@@ -1114,6 +1732,10 @@ export {
 	write,
 	listen,
 	scheduleEffect as schedule,
+	configureScheduler,
+	batch,
+	transaction,
+	flushSync,
 	tick,
 	nextTick,
 	collectDisposers,
@@ -1122,5 +1744,9 @@ export {
 	useEffect,
 	untrack,
 	freeze,
-	contextValid
+	contextValid,
+	_debugName,
+	_withErrorHandler,
+	_getErrorHandler,
+	_guard
 }
@@ -0,0 +1,42 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+export type StoreRecipe<T> = (target: T) => void
+
+export interface ReconcileOptions {
+	key?: PropertyKey
+	merge?: boolean
+}
+
+export type StoreMutation<T = unknown> =
+	| { type: 'splice'; index: number; removed: T[]; added: T[] }
+	| { type: 'sort'; items: T[] }
+	| { type: 'reset' }
+
+export function createStore<T extends object>(initial?: T): T
+export function produce<T extends object>(target: T, recipe: StoreRecipe<T>): T
+export function reconcile<T>(value: T, options?: ReconcileOptions): StoreRecipe<T>
+export function unwrap<T>(value: T): T
+export function isStore(value: unknown): boolean
+
+export function _observeArray<T>(
+	target: T[],
+	listener: (record: StoreMutation<T>) => void
+): [T[], () => void] | null
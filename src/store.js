@@ -0,0 +1,450 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { signal, untrack } from 'refui/signal'
+import { isProduction } from 'refui/constants'
+import { emptyArr, removeFromArr } from 'refui/utils'
+
+// raw object -> { raw, proxy, signals, listeners }
+const nodes = new WeakMap()
+// proxy -> raw object
+const raws = new WeakMap()
+
+const ownKeysKey = Symbol(isProduction ? '' : 'K_OwnKeys')
+
+let batchDepth = 0
+let pendingSignals = null
+
+function isWrappable(value) {
+	if (!value || typeof value !== 'object') return false
+	if (Array.isArray(value)) return true
+	const proto = Object.getPrototypeOf(value)
+	return proto === Object.prototype || proto === null
+}
+
+function unwrap(value) {
+	return raws.get(value) ?? value
+}
+
+function isStore(value) {
+	return raws.has(value)
+}
+
+function toIndex(key) {
+	if (typeof key !== 'string') return -1
+	const index = Number(key)
+	return String(index >>> 0) === key && index !== 4294967295 ? index : -1
+}
+
+function getNode(raw) {
+	let node = nodes.get(raw)
+	if (!node) {
+		node = {
+			raw,
+			proxy: new Proxy(raw, Array.isArray(raw) ? arrayHandler : objectHandler),
+			signals: new Map(),
+			listeners: null
+		}
+		nodes.set(raw, node)
+		raws.set(node.proxy, raw)
+	}
+	return node
+}
+
+function wrap(value) {
+	return isWrappable(value) ? getNode(value).proxy : value
+}
+
+// Signals of a store are created lazily, outside of any disposal context, and only carry notifications
+function track(node, key) {
+	let sig = node.signals.get(key)
+	if (!sig) {
+		sig = untrack(signal, undefined, undefined, isProduction ? undefined : { name: `store.${String(key)}` })
+		node.signals.set(key, sig)
+	}
+	sig.touch()
+}
+
+function notify(node, key) {
+	const sig = node.signals.get(key)
+	if (!sig) return
+	if (pendingSignals) pendingSignals.add(sig)
+	else sig.trigger()
+}
+
+function notifyRange(node, from, to) {
+	const { signals } = node
+	if (to - from > signals.size) {
+		for (let key of signals.keys()) {
+			const index = toIndex(key)
+			if (index >= from && index < to) notify(node, key)
+		}
+	} else {
+		for (let i = from; i < to; i++) notify(node, String(i))
+	}
+}
+
+function notifyLength(node) {
+	notify(node, 'length')
+	notify(node, ownKeysKey)
+}
+
+// Records: { type: 'splice', index, removed, added } | { type: 'sort', items } | { type: 'reset' }
+function emitRecord(node, createRecord) {
+	const { listeners } = node
+	if (!listeners?.length) return
+	const record = createRecord()
+	for (let listener of listeners.slice()) listener(record)
+}
+
+function resetRecord() {
+	return { type: 'reset' }
+}
+
+function setProperty(node, key, value) {
+	const { raw } = node
+	if (Array.isArray(raw)) {
+		if (key === 'length') return setLength(node, value)
+		const index = toIndex(key)
+		if (index > -1) return setIndex(node, index, value)
+	}
+
+	const had = Object.hasOwn(raw, key)
+	if (had && Object.is(raw[key], value)) return
+	raw[key] = value
+	notify(node, key)
+	if (!had) notify(node, ownKeysKey)
+}
+
+function deleteProperty(node, key) {
+	const { raw } = node
+	if (!Object.hasOwn(raw, key)) return true
+	if (!Reflect.deleteProperty(raw, key)) return false
+	notify(node, key)
+	notify(node, ownKeysKey)
+	if (Array.isArray(raw) && toIndex(key) > -1) emitRecord(node, resetRecord)
+	return true
+}
+
+function setIndex(node, index, value) {
+	const { raw } = node
+	const length = raw.length
+	if (index < length) {
+		const prev = raw[index]
+		if (Object.is(prev, value) && index in raw) return
+		raw[index] = value
+		notify(node, String(index))
+		emitRecord(node, function() {
+			return { type: 'splice', index, removed: [wrap(prev)], added: [wrap(value)] }
+		})
+	} else {
+		raw[index] = value
+		notifyRange(node, length, index + 1)
+		notifyLength(node)
+		emitRecord(node, index === length
+			? function() {
+					return { type: 'splice', index, removed: emptyArr, added: [wrap(value)] }
+				}
+			: resetRecord)
+	}
+}
+
+function setLength(node, value) {
+	const { raw } = node
+	const length = raw.length
+	const removed = value < length ? raw.slice(value) : emptyArr
+	raw.length = value
+	const newLength = raw.length
+	if (newLength === length) return
+	notifyRange(node, Math.min(length, newLength), Math.max(length, newLength))
+	notifyLength(node)
+	emitRecord(node, newLength < length
+		? function() {
+				return { type: 'splice', index: newLength, removed: removed.map(wrap), added: emptyArr }
+			}
+		: resetRecord)
+}
+
+function spliceArray(node, start, deleteCount, items) {
+	const { raw } = node
+	const length = raw.length
+	items = items.map(unwrap)
+	const removed = raw.splice(start, deleteCount, ...items)
+	if (!removed.length && !items.length) return removed
+
+	const newLength = raw.length
+	notifyRange(node, start, newLength === length ? start + items.length : Math.max(length, newLength))
+	if (newLength !== length) notifyLength(node)
+	emitRecord(node, function() {
+		return { type: 'splice', index: start, removed: removed.map(wrap), added: items.map(wrap) }
+	})
+	return removed
+}
+
+function reorderArray(node, mutate, isPermutation) {
+	const { raw } = node
+	const prev = raw.slice()
+	mutate(raw)
+	let changed = false
+	const length = raw.length
+	for (let i = 0; i < length; i++) {
+		if (!Object.is(prev[i], raw[i])) {
+			notify(node, String(i))
+			changed = true
+		}
+	}
+	if (!changed) return
+	emitRecord(node, isPermutation
+		? function() {
+				return { type: 'sort', items: raw.map(wrap) }
+			}
+		: resetRecord)
+}
+
+function toRelativeIndex(value, length) {
+	value = Math.trunc(value) || 0
+	return value < 0 ? Math.max(length + value, 0) : Math.min(value, length)
+}
+
+// Mutators operate on the raw array and report exactly what changed
+const arrayMethods = {
+	push(...items) {
+		const node = nodes.get(raws.get(this))
+		spliceArray(node, node.raw.length, 0, items)
+		return node.raw.length
+	},
+	pop() {
+		const node = nodes.get(raws.get(this))
+		const { length } = node.raw
+		if (!length) return undefined
+		return wrap(spliceArray(node, length - 1, 1, emptyArr)[0])
+	},
+	shift() {
+		const node = nodes.get(raws.get(this))
+		if (!node.raw.length) return undefined
+		return wrap(spliceArray(node, 0, 1, emptyArr)[0])
+	},
+	unshift(...items) {
+		const node = nodes.get(raws.get(this))
+		spliceArray(node, 0, 0, items)
+		return node.raw.length
+	},
+	splice(start, ...args) {
+		const node = nodes.get(raws.get(this))
+		const { length } = node.raw
+		start = toRelativeIndex(start, length)
+		let deleteCount = 0
+		if (args.length) deleteCount = Math.min(Math.max(Math.trunc(args.shift()) || 0, 0), length - start)
+		else if (arguments.length) deleteCount = length - start
+		return spliceArray(node, start, deleteCount, args).map(wrap)
+	},
+	sort(compare) {
+		reorderArray(nodes.get(raws.get(this)), function(raw) {
+			raw.sort(compare && function(a, b) {
+				return compare(wrap(a), wrap(b))
+			})
+		}, true)
+		return this
+	},
+	reverse() {
+		reorderArray(nodes.get(raws.get(this)), function(raw) {
+			raw.reverse()
+		}, true)
+		return this
+	},
+	fill(value, ...args) {
+		reorderArray(nodes.get(raws.get(this)), function(raw) {
+			raw.fill(unwrap(value), ...args)
+		}, false)
+		return this
+	},
+	copyWithin(...args) {
+		reorderArray(nodes.get(raws.get(this)), function(raw) {
+			raw.copyWithin(...args)
+		}, false)
+		return this
+	}
+}
+
+const objectHandler = {
+	get(target, key, receiver) {
+		const value = Reflect.get(target, key, receiver)
+		// Inherited members like methods are not tracked
+		if (Object.hasOwn(target, key) || !(key in target)) track(nodes.get(target), key)
+		return wrap(value)
+	},
+	set(target, key, value, receiver) {
+		if (Object.getOwnPropertyDescriptor(target, key)?.set) {
+			return Reflect.set(target, key, value, receiver)
+		}
+		setProperty(nodes.get(target), key, unwrap(value))
+		return true
+	},
+	deleteProperty(target, key) {
+		return deleteProperty(nodes.get(target), key)
+	},
+	has(target, key) {
+		track(nodes.get(target), key)
+		return key in target
+	},
+	ownKeys(target) {
+		track(nodes.get(target), ownKeysKey)
+		return Reflect.ownKeys(target)
+	}
+}
+
+const arrayHandler = {
+	...objectHandler,
+	get(target, key, receiver) {
+		if (Object.hasOwn(arrayMethods, key)) return arrayMethods[key]
+		return objectHandler.get(target, key, receiver)
+	}
+}
+
+function createStore(initial = {}) {
+	initial = unwrap(initial)
+	if (!isWrappable(initial)) {
+		throw new TypeError('Store must be created from a plain object or an array')
+	}
+	return getNode(initial).proxy
+}
+
+// Notifications are deduplicated and sent once `recipe` returns
+function produce(target, recipe) {
+	if (!batchDepth) pendingSignals = new Set()
+	batchDepth += 1
+	try {
+		recipe(target)
+	} finally {
+		batchDepth -= 1
+		if (!batchDepth) {
+			const signals = pendingSignals
+			pendingSignals = null
+			for (let sig of signals) sig.trigger()
+		}
+	}
+	return target
+}
+
+function isSameShape(prev, next, key) {
+	if (!isWrappable(prev) || !isWrappable(next)) return false
+	if (Array.isArray(prev) !== Array.isArray(next)) return false
+	return Array.isArray(prev) || prev[key] === next[key]
+}
+
+function reconcileObject(node, next, key, merge) {
+	const { raw } = node
+	for (let name of Object.keys(next)) {
+		const prev = raw[name]
+		const value = unwrap(next[name])
+		if (Object.hasOwn(raw, name) && isSameShape(prev, value, key)) {
+			reconcileNode(getNode(prev), value, key, merge)
+		} else {
+			setProperty(node, name, value)
+		}
+	}
+	if (!merge) {
+		for (let name of Object.keys(raw)) {
+			if (!Object.hasOwn(next, name)) deleteProperty(node, name)
+		}
+	}
+}
+
+function reconcileArray(node, next, key, merge) {
+	const { raw } = node
+	const length = raw.length
+
+	const keyed = new Map()
+	for (let item of raw) {
+		if (isWrappable(item) && !Array.isArray(item) && item[key] !== undefined && !keyed.has(item[key])) {
+			keyed.set(item[key], item)
+		}
+	}
+
+	const result = next.map(function(item, index) {
+		item = unwrap(item)
+		if (!isWrappable(item)) return item
+
+		let prev = null
+		if (!Array.isArray(item) && item[key] !== undefined) {
+			prev = keyed.get(item[key])
+			keyed.delete(item[key])
+		} else if (isSameShape(raw[index], item, key)) {
+			// Unkeyed entries are matched by position
+			prev = raw[index]
+		}
+		if (!prev) return item
+
+		reconcileNode(getNode(prev), item, key, merge)
+		return prev
+	})
+
+	const newLength = result.length
+	let changed = newLength !== length
+	for (let i = 0; i < newLength; i++) {
+		if (i >= length || !Object.is(raw[i], result[i])) {
+			raw[i] = result[i]
+			notify(node, String(i))
+			changed = true
+		}
+	}
+	if (newLength !== length) {
+		if (newLength < length) {
+			notifyRange(node, newLength, length)
+			raw.length = newLength
+		}
+		notifyLength(node)
+	}
+	if (changed) emitRecord(node, resetRecord)
+}
+
+function reconcileNode(node, next, key, merge) {
+	if (Array.isArray(node.raw)) reconcileArray(node, next, key, merge)
+	else reconcileObject(node, next, key, merge)
+}
+
+// Returns a recipe for `produce`, keeping identities of items matched by `key`
+function reconcile(value, { key = 'id', merge = false } = {}) {
+	return function(target) {
+		const raw = raws.get(target)
+		const next = unwrap(value)
+		if (!raw || !isWrappable(next) || Array.isArray(raw) !== Array.isArray(next)) {
+			throw new TypeError('Reconcile target must be a store of the same shape as the new data')
+		}
+		reconcileNode(nodes.get(raw), next, key, merge)
+	}
+}
+
+// Internal, lets list components follow mutations of a store array instead of diffing it
+function _observeArray(target, listener) {
+	const raw = raws.get(target)
+	if (!Array.isArray(raw)) return null
+	const node = nodes.get(raw)
+	const listeners = node.listeners ?? (node.listeners = [])
+	listeners.push(listener)
+	return [
+		raw.map(wrap),
+		function() {
+			removeFromArr(listeners, listener)
+		}
+	]
+}
+
+export { createStore, produce, reconcile, unwrap, isStore, _observeArray }
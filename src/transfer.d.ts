@@ -0,0 +1,45 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import type { Signal } from './signal.js'
+
+export const defaultStateID: string
+
+export interface TransferState {
+	set(key: string, value: unknown): void
+	get<T = unknown>(key: string): T | undefined
+	has(key: string): boolean
+	serialize(): string
+	run<T, A extends unknown[]>(fn: (...args: A) => T, ...args: A): T
+}
+
+export interface LoadTransferStateOptions {
+	id?: string
+	doc?: Document
+	json?: string | unknown[]
+}
+
+export function createTransferState(): TransferState
+export function loadTransferState(options?: LoadTransferStateOptions): void
+
+export function transfer<T>(key: string, value: Signal<T>): Signal<T>
+export function transfer<T>(key: string, future: () => T | PromiseLike<T>): Promise<T>
+export function transfer<T>(key: string, future: PromiseLike<T>): PromiseLike<T>
+export function transfer<T>(key: string, value: T): T
@@ -0,0 +1,328 @@
+/* Copyright Yukino Song, SudoMaker Ltd.
+ *
+ * Licensed to the Apache Software Foundation (ASF) under one
+ * or more contributor license agreements.  See the NOTICE file
+ * distributed with this work for additional information
+ * regarding copyright ownership.  The ASF licenses this file
+ * to you under the Apache License, Version 2.0 (the
+ * "License"); you may not use this file except in compliance
+ * with the License.  You may obtain a copy of the License at
+ *
+ * 	http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ * KIND, either express or implied.  See the License for the
+ * specific language governing permissions and limitations
+ * under the License.
+ */
+
+import { isSignal, peek } from 'refui/signal'
+import { createContext, useContext, _withContext } from 'refui/components'
+import { isThenable } from 'refui/utils'
+import { isProduction } from 'refui/constants'
+
+const defaultStateID = 'refui-state'
+
+const TransferContext = createContext(null, 'Transfer')
+
+let clientState = null
+
+/*
+Encoded format: a flat array of entries, the root is entry 0.
+Containers reference their members by entry index, so shared references and cycles survive.
+- string/boolean/finite number/null: stored as is
+- plain object: { key: index }
+- ['A', ...indexes]: Array
+- ['M', keyIndex, valueIndex, ...]: Map
+- ['S', ...indexes]: Set
+- ['D', time]: Date
+- ['R', source, flags]: RegExp
+- ['B', digits]: BigInt
+- ['N', 'NaN' | 'Infinity' | '-Infinity' | '-0']: non-finite numbers and negative zero
+- ['U']: undefined
+*/
+
+function defineValue(obj, key, value) {
+	Object.defineProperty(obj, key, {
+		value,
+		enumerable: true,
+		writable: true,
+		configurable: true
+	})
+}
+
+function encode(value) {
+	const entries = []
+	const indexes = new Map()
+
+	function push(entry) {
+		entries.push(entry)
+		return entries.length - 1
+	}
+
+	function encodeEntry(val) {
+		switch (typeof val) {
+			case 'string':
+			case 'boolean': {
+				return val
+			}
+			case 'number': {
+				return Number.isFinite(val) ? val : ['N', String(val)]
+			}
+			case 'bigint': {
+				return ['B', String(val)]
+			}
+			case 'undefined': {
+				return ['U']
+			}
+			case 'function':
+			case 'symbol': {
+				if (!isProduction) {
+					console.warn(`[rEFui] Transfer state cannot serialize a ${typeof val}, it will be restored as undefined.`)
+				}
+				return ['U']
+			}
+			default: {
+				// objects are handled below
+			}
+		}
+
+		if (val === null) {
+			return null
+		}
+
+		if (Array.isArray(val)) {
+			const entry = ['A']
+			const length = val.length
+			for (let i = 0; i < length; i++) entry.push(flatten(val[i]))
+			return entry
+		}
+		if (val instanceof Date) {
+			return ['D', String(val.getTime())]
+		}
+		if (val instanceof Map) {
+			const entry = ['M']
+			for (let [key, item] of val) entry.push(flatten(key), flatten(item))
+			return entry
+		}
+		if (val instanceof Set) {
+			const entry = ['S']
+			for (let item of val) entry.push(flatten(item))
+			return entry
+		}
+		if (val instanceof RegExp) {
+			return ['R', val.source, val.flags]
+		}
+
+		const entry = {}
+		for (let key of Object.keys(val)) defineValue(entry, key, flatten(val[key]))
+		return entry
+	}
+
+	function flatten(val) {
+		if (isSignal(val)) {
+			val = peek(val)
+		}
+		if (Object.is(val, -0)) {
+			return push(['N', '-0'])
+		}
+
+		let idx = indexes.get(val)
+		if (idx !== undefined) {
+			return idx
+		}
+
+		// Reserve the slot first so cycles resolve to it
+		idx = push(null)
+		indexes.set(val, idx)
+		entries[idx] = encodeEntry(val)
+		return idx
+	}
+
+	flatten(value)
+
+	return entries
+}
+
+function decode(entries) {
+	if (!Array.isArray(entries) || !entries.length) {
+		throw new TypeError('Invalid transfer state payload')
+	}
+
+	const entryCount = entries.length
+	const values = new Array(entryCount)
+	const revived = new Array(entryCount).fill(false)
+
+	function set(idx, value) {
+		values[idx] = value
+		revived[idx] = true
+		return value
+	}
+
+	function revive(idx) {
+		if (!Number.isInteger(idx) || idx < 0 || idx >= entryCount) {
+			throw new TypeError(`Invalid transfer state reference: ${idx}`)
+		}
+		if (revived[idx]) {
+			return values[idx]
+		}
+
+		const entry = entries[idx]
+		if (entry === null || typeof entry !== 'object') {
+			return set(idx, entry)
+		}
+
+		if (Array.isArray(entry)) {
+			const entryLength = entry.length
+			switch (entry[0]) {
+				case 'U': {
+					return set(idx, undefined)
+				}
+				case 'N': {
+					return set(idx, Number(entry[1]))
+				}
+				case 'B': {
+					return set(idx, BigInt(entry[1]))
+				}
+				case 'D': {
+					return set(idx, new Date(Number(entry[1])))
+				}
+				case 'R': {
+					return set(idx, new RegExp(entry[1], entry[2]))
+				}
+				case 'A': {
+					const arr = set(idx, [])
+					for (let i = 1; i < entryLength; i++) arr.push(revive(entry[i]))
+					return arr
+				}
+				case 'M': {
+					const map = set(idx, new Map())
+					for (let i = 1; i < entryLength; i += 2) map.set(revive(entry[i]), revive(entry[i + 1]))
+					return map
+				}
+				case 'S': {
+					const _set = set(idx, new Set())
+					for (let i = 1; i < entryLength; i++) _set.add(revive(entry[i]))
+					return _set
+				}
+				default: {
+					throw new TypeError(`Unknown transfer state entry type: ${entry[0]}`)
+				}
+			}
+		}
+
+		const obj = set(idx, {})
+		for (let key of Object.keys(entry)) defineValue(obj, key, revive(entry[key]))
+		return obj
+	}
+
+	return revive(0)
+}
+
+const scriptEscapeMap = {
+	'<': '\\u003c',
+	'>': '\\u003e',
+	'&': '\\u0026',
+	'\u2028': '\\u2028',
+	'\u2029': '\\u2029'
+}
+function scriptEscapeReplacer(match) {
+	return scriptEscapeMap[match]
+}
+// Safe to embed in a <script> element, JSON.parse restores the escaped characters
+function escapeScript(json) {
+	return json.replace(/[<>&\u2028\u2029]/g, scriptEscapeReplacer)
+}
+
+function createTransferState() {
+	const values = new Map()
+
+	function set(key, value) {
+		if (isThenable(value)) {
+			values.delete(key)
+			value.then(function(result) {
+				values.set(key, result)
+			}, function() {
+				values.delete(key)
+			})
+		} else {
+			values.set(key, value)
+		}
+	}
+
+	function get(key) {
+		return peek(values.get(key))
+	}
+
+	function has(key) {
+		return values.has(key)
+	}
+
+	function serialize() {
+		const record = {}
+		for (let [key, value] of values) defineValue(record, key, value)
+		return escapeScript(JSON.stringify(encode(record)))
+	}
+
+	const state = {
+		set,
+		get,
+		has,
+		serialize,
+		run(fn, ...args) {
+			return _withContext(TransferContext, state, function() {
+				return fn(...args)
+			})
+		}
+	}
+
+	return state
+}
+
+function loadTransferState({ id = defaultStateID, doc = globalThis.document, json } = {}) {
+	if (json === undefined || json === null) {
+		const script = doc?.getElementById(id)
+		if (!script) {
+			return
+		}
+		json = script.textContent
+		script.remove()
+	}
+
+	const record = decode(typeof json === 'string' ? JSON.parse(json) : json)
+	clientState = new Map(Object.entries(record))
+}
+
+function transfer(key, value) {
+	const state = useContext(TransferContext)
+	if (state) {
+		if (typeof value === 'function') {
+			value = Promise.resolve(value())
+		}
+		state.set(key, value)
+		return value
+	}
+
+	if (clientState && clientState.has(key)) {
+		const transferred = clientState.get(key)
+		clientState.delete(key)
+
+		if (isSignal(value)) {
+			value.value = transferred
+			return value
+		}
+		if (typeof value === 'function' || isThenable(value)) {
+			return Promise.resolve(transferred)
+		}
+		return transferred
+	}
+
+	if (typeof value === 'function') {
+		return Promise.resolve(value())
+	}
+	return value
+}
+
+export { defaultStateID, createTransferState, loadTransferState, transfer }
@@ -18,6 +18,8 @@
  * under the License.
  */
 
+import type { DevtoolsHook } from './devtools.js'
+
 export const nullRefObject: { $ref: null }
 export const emptyArr: readonly []
 
@@ -35,3 +37,10 @@ export function splitFirst(value: string, splitter: string): [string] | [string,
 
 export function markStatic<T extends Function>(component: T): T
 export function isStatic(component: unknown): boolean
+
+export function functionName(fn: Function): string | null
+
+export const devtoolsHookName: '__REFUI_DEVTOOLS_HOOK__'
+export function getDevtoolsHook(): DevtoolsHook | null
+
+export function now(): number
@@ -73,3 +73,18 @@ export function markStatic(component) {
 export function isStatic(component) {
 	return staticSet.has(component)
 }
+
+// Bound internals are named 'bound xxx', which tells nothing useful
+export function functionName(fn) {
+	const { name } = fn
+	return name && !name.startsWith('bound ') ? name : null
+}
+
+export const devtoolsHookName = '__REFUI_DEVTOOLS_HOOK__'
+export function getDevtoolsHook() {
+	return globalThis[devtoolsHookName] ?? null
+}
+
+export function now() {
+	return globalThis.performance?.now() ?? Date.now()
+}